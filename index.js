@@ -1,737 +1,744 @@
-const express = require('express');
-const { spawn, execSync } = require('child_process');
-const puppeteer = require('puppeteer');
-const fs = require('fs');
 const path = require('path');
+const express = require('express');
+const { installLogRedaction, jsonReplacer, redactUrl } = require('./lib/redact');
+installLogRedaction(); // Before anything logs a destination URL
+const { loadTokens, authDisabled, createAuth } = require('./lib/auth');
+const { loadConfig } = require('./lib/config');
+const { buildStreamConfig } = require('./lib/stream');
+const { parseSteps } = require('./lib/steps');
+const { parseProbeRequest, probe, isDryRunning, stopDryRun } = require('./lib/probe');
+const {
+  parseRecording,
+  listRecordings,
+  recordingPath,
+  isRecording,
+  deleteRecording
+} = require('./lib/recorder');
+const { setBrowserOptions, getBrowserStatus } = require('./lib/browser');
+const { renderPrometheus } = require('./lib/metrics');
+const { onEvent, eventsSince, parseEventTypes } = require('./lib/events');
+const { startWebhooks, getWebhookStatus } = require('./lib/webhooks');
+const { startResourceGuard, getResourceStatus } = require('./lib/guard');
+const {
+  loadState,
+  runningStreams,
+  savedStream,
+  saveStream,
+  setDesiredState,
+  forgetStream,
+  recordShutdown,
+  getStateStatus
+} = require('./lib/state');
+const {
+  DEFAULT_STREAM_ID,
+  getStream,
+  listStreams,
+  createStream,
+  deleteStream,
+  stopAllStreams
+} = require('./lib/registry');
 const app = express();
+app.set('json replacer', jsonReplacer); // Stream keys never appear in JSON responses
+
+const PORT = process.env.PORT || 3000;
 
-// Try to use system FFmpeg first (if available via nixpacks), fallback to ffmpeg-static
-let ffmpegPath;
+// Audio capture: Chrome plays into a PulseAudio null sink, and the sink monitor
+// is pumped into FFmpeg through a FIFO (see lib/audio.js). Without PulseAudio
+// the pump generates silence instead.
+
+// Stream defaults, browser options and boot streams: the config file with the
+// environment variables on top (see lib/config.js)
+let config;
 try {
-  // Check if system FFmpeg is available (from nixpacks)
-  const { execSync } = require('child_process');
-  try {
-    execSync('which ffmpeg', { stdio: 'ignore' });
-    ffmpegPath = 'ffmpeg'; // Use system FFmpeg
-    console.log('Using system FFmpeg (from nixpacks)');
-  } catch (e) {
-    // System FFmpeg not available, use ffmpeg-static
-    const ffmpegStatic = require('ffmpeg-static');
-    ffmpegPath = ffmpegStatic;
-    console.log('Using ffmpeg-static (fallback)');
-  }
+  config = loadConfig();
 } catch (error) {
-  // Fallback to ffmpeg-static if system FFmpeg check fails
-  const ffmpegStatic = require('ffmpeg-static');
-  ffmpegPath = ffmpegStatic;
-  console.log('Using ffmpeg-static (fallback)');
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
 }
+setBrowserOptions(config.browser);
 
-const PORT = process.env.PORT || 3000;
-const RTMPS_URL = process.env.RTMPS_URL;
-const SOURCE_URL = process.env.SOURCE_URL;
-const WEB_PAGE_URL = process.env.WEB_PAGE_URL;
-const PLAY_BUTTON_SELECTOR = process.env.PLAY_BUTTON_SELECTOR || 'button[aria-label="Play"], button[aria-label="play"], button[aria-label*="play" i], .play-button, [class*="play"], button:has-text("Play")';
-const FPS = parseInt(process.env.FPS) || 3; // Default 3 FPS (between 1-5)
-
-// Note: Audio capture from browser pages in headless environment is very difficult
-// PulseAudio cannot run on Railway without an audio system
-// The audio from your website will play in the browser but cannot be captured
-// For now, we use silent audio as a placeholder
-console.log('Audio capture: Using silent audio (system audio capture not available in headless Railway environment)');
-
-if (!RTMPS_URL) {
-  console.error('RTMPS_URL environment variable is required');
+// Defaults applied to every stream definition. A reload updates this object
+// in place, so only streams started afterwards see the change.
+const STREAM_DEFAULTS = { ...config.defaults };
+
+// API tokens: read-only and control scopes (see lib/auth.js)
+let auth;
+try {
+  auth = createAuth(loadTokens(), { disabled: authDisabled() });
+} catch (error) {
+  console.error(`Invalid API tokens or API_AUTH: ${error.message}`);
+  process.exit(1);
+}
+const requireRead = auth.requireScope('read');
+const requireControl = auth.requireScope('control');
+
+// Stream events to WEBHOOK_URLS (see lib/webhooks.js)
+try {
+  startWebhooks();
+} catch (error) {
+  console.error(`Invalid WEBHOOK_URLS/WEBHOOK_EVENTS: ${error.message}`);
   process.exit(1);
 }
 
-let currentStream = null;
-let browser = null;
-let page = null;
-let captureProcess = null;
-let streamStatus = { active: false, error: null };
+// Streams that should be running, saved by the previous process (see lib/state.js)
+loadState();
+
+// Memory and CPU of Node, Chromium and FFmpeg, recycled past the RESOURCE_*
+// limits (see lib/guard.js)
+startResourceGuard();
+
+// Validate the definition, register the stream and start it. A started
+// stream is saved to the state file unless `persist` is false.
+// Resolves with { stream } or { status, error } for the route to send.
+async function startNewStream(input, { persist = true } = {}) {
+  let config;
+  try {
+    config = buildStreamConfig(input, STREAM_DEFAULTS);
+  } catch (error) {
+    return { status: 400, error: error.message };
+  }
+
+  const existing = getStream(config.id);
+  if (existing && existing.status.active) {
+    return { status: 409, error: `Stream "${config.id}" is already active` };
+  }
+
+  const stream = createStream(config);
+  try {
+    await stream.start();
+  } catch (error) {
+    // A failed page step comes with the step log so far
+    return { status: 500, error: error.message, steps: error.steps };
+  }
+  if (persist) {
+    saveStream(stream.id, input);
+  }
+  return { stream };
+}
+
+// Definitions the configured streams were last started with, by id
+const configuredRuns = new Map();
+
+// A stream definition of the config file (or the environment), if any
+function configuredStream(id) {
+  return config.streams.find(definition => definition.id === id) || null;
+}
 
-// Helper function to replace deprecated waitForTimeout
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function startConfiguredStream(definition) {
+  configuredRuns.set(definition.id, JSON.stringify(definition));
+  return startNewStream(definition, { persist: false });
 }
 
-// Health check endpoint
+// Re-read the configuration and apply what does not disturb running streams:
+// - stream defaults: used by the streams started from now on
+// - browser options: used at the next browser launch
+// - configured streams: new ones (or changed ones that are not running) are
+//   started; a running stream is never restarted, it is reported instead
+// Resolves with a report; throws on an invalid configuration, which leaves
+// the current one in place.
+async function reloadConfig() {
+  const next = loadConfig();
+  const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+  const report = {
+    defaultsChanged: changed(config.raw.defaults, next.raw.defaults),
+    browserChanged: changed(config.raw.browser, next.raw.browser),
+    started: [],
+    failed: [],
+    restartRequired: [],
+    notConfigured: []
+  };
+
+  config = next;
+  Object.keys(STREAM_DEFAULTS).forEach(key => delete STREAM_DEFAULTS[key]);
+  Object.assign(STREAM_DEFAULTS, next.defaults);
+  setBrowserOptions(next.browser);
+
+  for (const definition of next.streams) {
+    const stream = getStream(definition.id);
+    const lastRun = configuredRuns.get(definition.id);
+    if (stream && stream.status.active) {
+      if (lastRun && lastRun !== JSON.stringify(definition)) {
+        report.restartRequired.push(definition.id);
+      }
+      continue;
+    }
+    if (savedStream(definition.id) || lastRun === JSON.stringify(definition)) continue;
+    const result = await startConfiguredStream(definition);
+    (result.error ? report.failed : report.started).push(definition.id);
+  }
+  // Running streams that left the configuration keep running
+  for (const id of configuredRuns.keys()) {
+    const stream = getStream(id);
+    if (!next.streams.some(definition => definition.id === id) && stream && stream.status.active) {
+      report.notConfigured.push(id);
+    }
+  }
+  console.log(`Configuration reloaded: ${JSON.stringify(report)}`);
+  return report;
+}
+
+// Health check endpoint (no token, used by Railway)
 app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    streaming: streamStatus.active,
-    error: streamStatus.error 
+  const stream = getStream(DEFAULT_STREAM_ID);
+  res.json({
+    status: 'ok',
+    streaming: !!(stream && stream.status.active),
+    error: stream ? stream.status.error : null,
+    activeStreams: listStreams().filter(s => s.status.active).length
   });
 });
 
-// Start streaming endpoint
-app.post('/start', express.json(), async (req, res) => {
-  const sourceUrl = req.body.url || SOURCE_URL;
-  const webPageUrl = req.body.webPageUrl || WEB_PAGE_URL;
-  const playButtonSelector = req.body.playButtonSelector || PLAY_BUTTON_SELECTOR;
-  
-  if (!sourceUrl && !webPageUrl) {
-    return res.status(400).json({ error: 'Source URL or Web Page URL is required' });
-  }
+// Operator dashboard (public/): static files only, its data comes from the
+// API with the operator's token, so the page itself needs none
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Start streaming endpoint (compatibility alias for the default stream)
+app.post('/start', requireControl, express.json(), async (req, res) => {
+  // Without a source in the body, the configured default stream's is used
+  const configured = configuredStream(DEFAULT_STREAM_ID) || {};
+  const input = req.body.playlist ? { ...req.body, id: DEFAULT_STREAM_ID } : {
+    ...req.body,
+    id: DEFAULT_STREAM_ID,
+    url: req.body.url || configured.url,
+    webPageUrl: req.body.webPageUrl || configured.webPageUrl
+  };
 
-  if (streamStatus.active) {
+  const existing = getStream(DEFAULT_STREAM_ID);
+  if (existing && existing.status.active) {
     return res.status(400).json({ error: 'Stream is already active' });
   }
 
-  try {
-    if (webPageUrl) {
-      // Stream from web page with auto-play click
-      await startWebPageStream(webPageUrl, playButtonSelector);
-      res.json({ 
-        message: 'Web page stream started', 
-        webPageUrl,
-        playButtonSelector,
-        rtmpsUrl: RTMPS_URL,
-        fps: FPS
-      });
-    } else {
-      // Stream from direct URL
-      startStream(sourceUrl);
-      res.json({ 
-        message: 'Stream started', 
-        sourceUrl,
-        rtmpsUrl: RTMPS_URL,
-        fps: FPS
-      });
-    }
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  const result = await startNewStream(input);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, steps: result.steps });
+  }
+
+  const { config } = result.stream;
+  const destinations = config.destinations.map(dest => ({ name: dest.name, url: redactUrl(dest.url) }));
+  if (config.playlist) {
+    res.json({
+      message: 'Playlist stream started',
+      playlist: result.stream.playlist.getStatus(),
+      destinations,
+      fps: config.encoding.fps,
+      encoding: config.encoding
+    });
+  } else if (config.webPageUrl) {
+    res.json({
+      message: 'Web page stream started',
+      webPageUrl: config.webPageUrl,
+      playButtonSelector: config.playButtonSelector,
+      steps: result.stream.stepLog,
+      destinations,
+      fps: config.encoding.fps,
+      encoding: config.encoding
+    });
+  } else {
+    res.json({
+      message: 'Stream started',
+      sourceUrl: config.url,
+      destinations,
+      fps: config.encoding.fps,
+      encoding: config.encoding
+    });
   }
 });
 
-// Stop streaming endpoint
-app.post('/stop', async (req, res) => {
-  if (!streamStatus.active) {
+// Stop streaming endpoint (compatibility alias for the default stream)
+app.post('/stop', requireControl, async (req, res) => {
+  const stream = getStream(DEFAULT_STREAM_ID);
+  if (!stream || !stream.status.active) {
     return res.status(400).json({ error: 'No active stream' });
   }
 
-  await stopStream();
+  await stream.stop();
+  setDesiredState(DEFAULT_STREAM_ID, 'stopped');
   res.json({ message: 'Stream stopped' });
 });
 
-// Status endpoint
-app.get('/status', (req, res) => {
-  res.json(streamStatus);
-});
-
-async function startWebPageStream(webPageUrl, playButtonSelector) {
-  console.log(`Starting web page stream from ${webPageUrl} to ${RTMPS_URL} at ${FPS} FPS`);
-  console.log(`Looking for play button with selector: ${playButtonSelector}`);
-  
-  streamStatus.active = true;
-  streamStatus.error = null;
+// Check a source before starting it: ffprobe a direct URL, or load a web page
+// and look for its play selectors. `dryRun` also runs the whole pipeline for
+// a few seconds without the destinations. Nothing is registered or saved.
+app.post('/probe', requireControl, express.json(), async (req, res) => {
+  let request;
+  try {
+    request = parseProbeRequest(req.body, STREAM_DEFAULTS);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (request.dryRun && isDryRunning()) {
+    return res.status(409).json({ error: 'A dry run is already running' });
+  }
 
   try {
-    // Launch browser with audio capture support
-    browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1920,1080',
-        '--autoplay-policy=no-user-gesture-required',
-        '--enable-features=UseChromeOSDirectVideoDecoder',
-        '--use-fake-ui-for-media-stream', // Allow audio capture
-        '--use-fake-device-for-media-stream',
-        '--allow-running-insecure-content'
-      ]
-    });
+    res.json(await probe(request));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    page = await browser.newPage();
-    
-    // Set viewport to 1920x1080
-    await page.setViewport({ width: 1920, height: 1080 });
-    
-    // Navigate to page
-    console.log(`Navigating to ${webPageUrl}...`);
-    await page.goto(webPageUrl, { 
-      waitUntil: 'networkidle2',
-      timeout: 30000 
-    });
+// Status endpoint (compatibility alias for the default stream)
+app.get('/status', requireRead, (req, res) => {
+  const stream = getStream(DEFAULT_STREAM_ID);
+  res.json({
+    ...(stream ? stream.getStatus() : { active: false, error: null }),
+    resources: getResourceStatus()
+  });
+});
 
-    // Wait a bit for page to load
-    await wait(3000);
-
-    // Try to click play button with multiple strategies
-    let playClicked = false;
-    
-    // Split selector string and try each one
-    const selectors = playButtonSelector.split(',').map(s => s.trim());
-    
-    for (const selector of selectors) {
-      try {
-        console.log(`Trying selector: ${selector}`);
-        await page.waitForSelector(selector, { timeout: 5000 });
-        await page.click(selector);
-        console.log(`Play button clicked successfully with selector: ${selector}`);
-        playClicked = true;
-        await wait(1000); // Wait for audio to start
-        break;
-      } catch (error) {
-        console.log(`Selector "${selector}" not found, trying next...`);
-        continue;
-      }
-    }
-    
-    // If no selector worked, try alternative methods
-    if (!playClicked) {
-      console.log('No play button found with selectors, trying alternative methods...');
-      
-      // Try to find any button with "play" in text or aria-label
-      try {
-        const playButton = await page.evaluate(() => {
-          // Try to find button by text content
-          const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
-          for (const btn of buttons) {
-            const text = btn.textContent?.toLowerCase() || '';
-            const ariaLabel = btn.getAttribute('aria-label')?.toLowerCase() || '';
-            if (text.includes('play') || ariaLabel.includes('play')) {
-              return true;
-            }
-          }
-          return false;
-        });
-        
-        if (playButton) {
-          await page.evaluate(() => {
-            const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
-            for (const btn of buttons) {
-              const text = btn.textContent?.toLowerCase() || '';
-              const ariaLabel = btn.getAttribute('aria-label')?.toLowerCase() || '';
-              if (text.includes('play') || ariaLabel.includes('play')) {
-                btn.click();
-                return;
-              }
-            }
-          });
-          console.log('Play button clicked via JavaScript evaluation');
-          await wait(1000);
-        } else {
-          // Last resort: click on body to enable autoplay
-          console.log('Clicking on body to enable autoplay...');
-          await page.evaluate(() => {
-            document.body.click();
-            // Also try to trigger any audio context
-            if (window.AudioContext || window.webkitAudioContext) {
-              const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-              const context = new AudioContextClass();
-              context.resume();
-            }
-          });
-          await wait(1000);
-        }
-      } catch (error) {
-        console.warn('Alternative play button methods failed:', error.message);
-      }
-    }
+// Prometheus metrics for every stream
+app.get('/metrics', requireRead, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderPrometheus(listStreams(), getResourceStatus()));
+});
+
+// Effective configuration (file and environment overrides). Stream keys are
+// redacted, but page steps may hold credentials: control scope only.
+app.get('/config', requireControl, (req, res) => {
+  res.json({
+    file: config.file,
+    overrides: config.overrides,
+    config: config.raw
+  });
+});
 
-    // Get Chrome DevTools Protocol client
-    const client = await page.target().createCDPSession();
-    
-    // Enable necessary domains
-    await client.send('Page.enable');
-    await client.send('Runtime.enable');
-    await client.send('DOM.enable');
-    
-    // Start screen capture using CDP
-    console.log('Starting screen capture via CDP...');
-    await startBrowserCapture(client, page);
-    
+app.post('/config/reload', requireControl, async (req, res) => {
+  try {
+    const report = await reloadConfig();
+    res.json({ message: 'Configuration reloaded', ...report });
   } catch (error) {
-    console.error('Error setting up web page stream:', error);
-    streamStatus.active = false;
-    streamStatus.error = error.message;
-    if (browser) {
-      await browser.close();
-      browser = null;
-    }
-    throw error;
+    res.status(400).json({ error: error.message });
   }
-}
+});
 
-async function startBrowserCapture(client, page) {
-  // Use Chrome's screencast API to capture frames
-  // We'll capture frames and pipe them to FFmpeg
-  // Also capture audio via Web Audio API
-  
-  const frameInterval = 1000 / FPS; // milliseconds between frames
-  const MAX_FRAME_BUFFER = 10; // Maximum frames in buffer to prevent memory leak
-  const MAX_AUDIO_BUFFER = 5; // Maximum audio chunks in buffer
-  let frameBuffer = [];
-  let audioBuffer = [];
-  
-  // Store reference for cleanup
-  const captureState = { isCapturing: true };
-  
-  // Set up audio capture via Web Audio API
-  console.log('Setting up audio capture from page via Web Audio API...');
-  
-  // Expose a function to the page to send audio data
-  // Disable audio capture to prevent memory leaks
-  // Audio capture is disabled - we use silent audio instead
-  // If you want to enable audio capture later, you'll need to:
-  // 1. Limit audio buffer size
-  // 2. Clean up audio data regularly
-  // 3. Use a non-blocking approach
-  
-  // For now, we don't expose the function to avoid accumulating audio data
-  // await page.exposeFunction('sendAudioData', (audioData) => {
-  //   // Disabled to prevent memory leaks
-  // });
-  
-  // Audio capture script is DISABLED to prevent memory leaks
-  // The script accumulates audio data indefinitely in memory
-  // We don't inject it to prevent RAM from growing
-  console.log('Audio capture script is disabled to prevent memory leaks');
-  
-  // Start screencast with JPEG format (more stable than PNG)
-  await client.send('Page.startScreencast', {
-    format: 'jpeg',
-    quality: 80,
-    maxWidth: 1920,
-    maxHeight: 1080,
-    everyNthFrame: Math.max(1, Math.floor(30 / FPS)) // Adjust based on FPS
-  });
-  
-  console.log('Screencast started, waiting for first frame...');
-  
-  // Wait for first frame before starting FFmpeg
-  let firstFrameReceived = false;
-  const firstFramePromise = new Promise((resolve) => {
-    const frameHandler = async (frame) => {
-      if (!firstFrameReceived) {
-        firstFrameReceived = true;
-        try {
-          const buffer = Buffer.from(frame.data, 'base64');
-          frameBuffer.push(buffer);
-          await client.send('Page.screencastFrameAck', { sessionId: frame.sessionId });
-          console.log('First frame received, starting FFmpeg...');
-          resolve();
-        } catch (error) {
-          console.error('Error processing first frame:', error);
-          resolve(); // Continue anyway
-        }
-      }
-    };
-    client.once('Page.screencastFrame', frameHandler);
-    // Timeout after 5 seconds
-    setTimeout(() => {
-      if (!firstFrameReceived) {
-        console.warn('No frame received after 5 seconds, starting FFmpeg anyway...');
-        resolve();
-      }
-    }, 5000);
-  });
-  
-  // Listen for screencast frames
-  client.on('Page.screencastFrame', async (frame) => {
-    if (!captureState.isCapturing) return;
-    
-    try {
-      // Decode the base64 frame
-      const buffer = Buffer.from(frame.data, 'base64');
-      
-      // Limit buffer size to prevent memory leak
-      if (frameBuffer.length >= MAX_FRAME_BUFFER) {
-        // Remove oldest frame
-        frameBuffer.shift();
-      }
-      frameBuffer.push(buffer);
-      
-      // Acknowledge frame
-      await client.send('Page.screencastFrameAck', { sessionId: frame.sessionId });
-    } catch (error) {
-      console.error('Error processing frame:', error);
-    }
-  });
-  
-  // Wait for first frame
-  await firstFramePromise;
-  
-  // Start FFmpeg process to encode frames and stream
-  console.log('Starting FFmpeg encoding process...');
-  console.log(`FFmpeg path: ${ffmpegPath}`);
-  console.log(`RTMPS URL: ${RTMPS_URL}`);
-  
-  // Set up audio capture via Web Audio API
-  // For now, use silent audio by default to avoid FFmpeg blocking
-  // Audio capture from page can be added later if needed
-  // The issue is that FFmpeg blocks if the audio pipe is empty
-  
-  // Create a named pipe (FIFO) for audio data (for future use)
-  const audioPipePath = path.join('/tmp', `audio_${Date.now()}.pipe`);
-  let audioPipe = null;
-  let useAudioCapture = false;
-  
-  // Store pipe path for cleanup
-  streamStatus.audioPipePath = null; // Don't use pipe for now to avoid blocking
-  
-  // For now, always use silent audio to ensure video streams properly
-  // Audio capture from page requires more complex setup to avoid blocking
-  let audioInputArgs = ['-f', 'lavfi', '-i', 'anullsrc=channel_layout=stereo:sample_rate=22050'];
-  console.log('Using silent audio (audio capture from page requires additional setup to avoid FFmpeg blocking)');
-  
-  // Optional: Try to set up audio pipe for future use (but don't use it in FFmpeg yet)
+// Live stream events as Server-Sent Events. ?stream=<id> and
+// ?types=stream.error,ffmpeg.exit filter them; a reconnecting client gets the
+// events it missed (Last-Event-ID) if they are still in memory.
+const EVENTS_KEEPALIVE_MS = 15000;
+
+app.get('/events', requireRead, (req, res) => {
+  let types;
   try {
-    execSync(`mkfifo ${audioPipePath}`, { stdio: 'ignore' });
-    audioPipe = fs.createWriteStream(audioPipePath, { flags: 'w' });
-    console.log('Audio pipe created for future use:', audioPipePath);
-    captureState.audioCapturing = true;
-    // Store path but don't use it in FFmpeg to avoid blocking
-    streamStatus.audioPipePath = audioPipePath;
+    types = parseEventTypes(req.query.types);
   } catch (error) {
-    // Ignore - we're using silent audio anyway
-  }
-  
-  // Optimized configuration for RTMPS streaming
-  // Simplified approach to avoid SIGSEGV crashes
-  const ffmpegArgs = [
-    '-f', 'image2pipe',
-    '-vcodec', 'mjpeg',
-    '-framerate', FPS.toString(),
-    '-i', '-',
-    ...audioInputArgs,
-    // Simplified filter chain - scale first, then format conversion
-    '-vf', `scale=640:-1:flags=fast_bilinear,fps=${FPS},format=yuv420p`,
-    '-c:v', 'libx264',
-    '-preset', 'ultrafast',
-    '-tune', 'zerolatency',
-    '-profile:v', 'baseline',
-    '-level', '3.0',
-    '-pix_fmt', 'yuv420p',
-    '-g', '10',
-    '-b:v', '500k',
-    '-maxrate', '500k',
-    '-bufsize', '1000k',
-    '-r', FPS.toString(),
-    '-c:a', 'aac',
-    '-b:a', '64k',
-    '-ar', '22050',
-    '-ac', '2',
-    '-f', 'flv',
-    '-flvflags', 'no_duration_filesize',
-    // RTMPS/TLS options
-    '-protocol_whitelist', 'file,http,https,tcp,tls,rtmp,rtmps',
-    '-tls_verify', '0', // Disable TLS certificate verification (may help with connection issues)
-    '-loglevel', 'info',
-    RTMPS_URL
-  ];
-  
-  console.log('FFmpeg command:', ffmpegPath, ffmpegArgs.join(' '));
-  
-  captureProcess = spawn(ffmpegPath, ffmpegArgs);
-  
-  // Audio capture from page is disabled for now to avoid FFmpeg blocking
-  // FFmpeg uses silent audio (anullsrc) so video can stream properly
-  // Audio capture can be re-enabled later with proper non-blocking setup
-  console.log('Audio capture from page is disabled - using silent audio to ensure video streams');
-  console.log('Note: Video should now stream properly. Audio capture requires additional setup.');
-  
-  // Handle stdin errors to prevent EPIPE crashes
-  if (captureProcess.stdin) {
-    captureProcess.stdin.on('error', (error) => {
-      if (error.code !== 'EPIPE') {
-        console.error('FFmpeg stdin error:', error);
-      }
-      // EPIPE is expected when FFmpeg closes, so we ignore it
-    });
+    return res.status(400).json({ error: error.message });
   }
-  
-  // Collect all stderr output for debugging
-  let ffmpegStderr = '';
-  
-  // Handle FFmpeg output
-  captureProcess.stderr.on('data', (data) => {
-    const output = data.toString();
-    ffmpegStderr += output;
-    // Log all FFmpeg output for debugging
-    if (output.trim()) {
-      console.log('FFmpeg:', output.trim());
-    }
-    if (output.includes('error') || output.includes('Error') || output.includes('failed')) {
-      console.error('FFmpeg error detected:', output);
-    }
-  });
-  
-  captureProcess.on('error', (error) => {
-    console.error('FFmpeg process error:', error);
-    streamStatus.active = false;
-    streamStatus.error = error.message;
-    captureState.isCapturing = false;
-  });
-  
-  captureProcess.on('exit', (code, signal) => {
-    console.log(`FFmpeg process exited with code ${code}, signal ${signal}`);
-    if (ffmpegStderr) {
-      console.log('FFmpeg stderr output:', ffmpegStderr);
-    }
-    captureState.isCapturing = false;
-    streamStatus.active = false;
-    
-    if (signal === 'SIGSEGV') {
-      const errorMsg = 'FFmpeg crashed with SIGSEGV. This version of ffmpeg-static may not have proper RTMPS support compiled with OpenSSL. The build uses GnuTLS which can cause RTMPS connection issues.';
-      console.error(errorMsg);
-      streamStatus.error = errorMsg;
-    } else if (code !== 0 && code !== null) {
-      streamStatus.error = `FFmpeg exited with code ${code}`;
-    }
-  });
-  
-  // Wait a bit for FFmpeg to initialize and connect to RTMPS
-  console.log('Waiting for FFmpeg to initialize RTMPS connection...');
-  await wait(2000);
-  
-  // Pipe frames to FFmpeg with proper rate limiting and memory management
-  let framesSent = 0;
-  let framesDropped = 0;
-  
-  const sendFrames = () => {
-    if (!captureState.isCapturing || !captureProcess || captureProcess.killed) {
-      return;
-    }
-    
-    // Limit buffer size - drop old frames if buffer is too large
-    if (frameBuffer.length > MAX_FRAME_BUFFER) {
-      const dropped = frameBuffer.length - MAX_FRAME_BUFFER;
-      frameBuffer.splice(0, dropped);
-      framesDropped += dropped;
-      if (framesDropped % 50 === 0 && framesDropped > 0) {
-        console.log(`Warning: Dropped ${framesDropped} frames due to buffer overflow`);
-      }
-    }
-    
-    if (frameBuffer.length > 0) {
-      const frame = frameBuffer.shift();
-      if (captureProcess.stdin && !captureProcess.stdin.destroyed) {
-        try {
-          const success = captureProcess.stdin.write(frame);
-          framesSent++;
-          if (framesSent % 50 === 0) {
-            console.log(`Sent ${framesSent} frames to FFmpeg (buffer: ${frameBuffer.length})`);
-          }
-          
-          if (!success) {
-            // Wait for drain if buffer is full
-            captureProcess.stdin.once('drain', () => {
-              if (captureState.isCapturing) {
-                setTimeout(sendFrames, frameInterval);
-              }
-            });
-            return;
-          }
-        } catch (error) {
-          // EPIPE is expected when FFmpeg closes, ignore it
-          if (error.code !== 'EPIPE') {
-            console.error('Error writing frame to FFmpeg:', error);
-          }
-          captureState.isCapturing = false;
-          return;
-        }
-      }
-    }
-    
-    if (captureState.isCapturing) {
-      setTimeout(sendFrames, frameInterval);
+  const streamId = req.query.stream || null;
+  const wanted = (event) => (!streamId || event.stream === streamId) && (types.length === 0 || types.includes(event.type));
+  const send = (event) => {
+    if (wanted(event)) {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event, jsonReplacer)}\n\n`);
     }
   };
-  
-  // Start sending frames
-  console.log('Starting to send frames to FFmpeg...');
-  sendFrames();
-  
-  // Try to capture audio from the page
-  // Note: This is a workaround - real audio capture from browser requires more complex setup
-  // For now, we use silent audio. To capture real audio, you'd need to use Chrome's audio capture
-  // or pipe audio from the browser process, which is more complex on Railway.
-  
-  console.log('Browser capture started - streaming frames to RTMPS');
-  
-  // Periodic cleanup to prevent memory leaks
-  const cleanupInterval = setInterval(() => {
-    if (!captureState.isCapturing) {
-      clearInterval(cleanupInterval);
-      return;
-    }
-    
-    // Clean up old frames if buffer is too large
-    if (frameBuffer.length > MAX_FRAME_BUFFER) {
-      const dropped = frameBuffer.length - MAX_FRAME_BUFFER;
-      frameBuffer.splice(0, dropped);
-      console.log(`Cleaned up ${dropped} old frames from buffer (current size: ${frameBuffer.length})`);
-    }
-    
-    // Clean up audio buffer (should be empty since audio capture is disabled)
-    if (audioBuffer.length > 0) {
-      const dropped = audioBuffer.length;
-      audioBuffer = [];
-      console.log(`Cleaned up ${dropped} audio chunks from buffer`);
-    }
-  }, 10000); // Clean up every 10 seconds
-  
-  // Store cleanup interval and capture state for cleanup
-  captureState.cleanupInterval = cleanupInterval;
-  streamStatus.captureState = captureState;
-}
 
-function startStream(sourceUrl) {
-  console.log(`Starting stream from ${sourceUrl} to ${RTMPS_URL} at ${FPS} FPS`);
-  
-  streamStatus.active = true;
-  streamStatus.error = null;
-
-  // Optimized FFmpeg command for low resource usage
-  const ffmpegArgs = [
-    '-re', // Read input at native frame rate
-    '-rtsp_transport', 'tcp', // Use TCP for RTSP if applicable
-    '-fflags', 'nobuffer', // Reduce buffering
-    '-flags', 'low_delay', // Low latency
-    '-strict', 'experimental',
-    '-i', sourceUrl, // Input source
-    '-c:v', 'libx264', // Video codec
-    '-vf', `fps=${FPS},scale=640:-1`, // Video filters: FPS and scale
-    '-preset', 'ultrafast', // Fastest encoding (lowest CPU)
-    '-tune', 'zerolatency', // Zero latency
-    '-profile:v', 'baseline', // Baseline profile (most compatible, lighter)
-    '-level', '3.0', // H.264 level
-    '-pix_fmt', 'yuv420p', // Pixel format
-    '-g', '10', // GOP size (keyframe interval)
-    '-b:v', '500k', // Video bitrate (low for resource efficiency)
-    '-maxrate', '500k',
-    '-bufsize', '1000k',
-    '-r', FPS.toString(), // Output frame rate
-    '-c:a', 'aac', // Audio codec
-    '-b:a', '64k', // Low audio bitrate
-    '-ar', '22050', // Lower sample rate (lighter)
-    '-ac', '2', // Stereo
-    '-f', 'flv', // FLV format for RTMPS
-    '-flvflags', 'no_duration_filesize', // Optimize FLV
-    '-protocol_whitelist', 'file,http,https,tcp,tls,rtmp,rtmps',
-    '-rtmp_live', 'live',
-    RTMPS_URL // Output URL
-  ];
-
-  console.log('FFmpeg command: ' + ffmpegPath + ' ' + ffmpegArgs.join(' '));
-  
-  currentStream = spawn(ffmpegPath, ffmpegArgs);
-  
-  // Handle FFmpeg output
-  currentStream.stderr.on('data', (data) => {
-    const output = data.toString();
-    if (output.includes('error') || output.includes('Error')) {
-      console.error('FFmpeg error:', output);
-    }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Do not let a proxy hold the events back
   });
-  
-  currentStream.on('error', (error) => {
-    console.error('FFmpeg process error:', error);
-    streamStatus.active = false;
-    streamStatus.error = error.message;
-    currentStream = null;
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = parseInt(req.get('last-event-id'));
+  if (lastEventId) {
+    eventsSince(lastEventId).forEach(send);
+  }
+  const unsubscribe = onEvent(send);
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), EVENTS_KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    unsubscribe();
   });
-  
-  currentStream.on('exit', (code) => {
-    console.log(`FFmpeg process exited with code ${code}`);
-    streamStatus.active = false;
-    currentStream = null;
+});
+
+// Stream registry
+app.get('/streams', requireRead, (req, res) => {
+  res.json({
+    browser: getBrowserStatus(),
+    resources: getResourceStatus(),
+    webhooks: getWebhookStatus(),
+    state: getStateStatus(),
+    streams: listStreams().map(stream => stream.getStatus())
   });
+});
+
+app.post('/streams', requireControl, express.json(), async (req, res) => {
+  if (!req.body.id) {
+    return res.status(400).json({ error: 'Stream id is required' });
+  }
+
+  const result = await startNewStream(req.body);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, steps: result.steps });
+  }
+  res.status(201).json(result.stream.getStatus());
+});
+
+app.get('/streams/:id', requireRead, (req, res) => {
+  const stream = getStream(req.params.id);
+  if (!stream) {
+    return res.status(404).json({ error: `Stream "${req.params.id}" not found` });
+  }
+  res.json(stream.getStatus());
+});
+
+// Run page steps on a running web page stream (e.g. click "next" mid-stream)
+app.post('/streams/:id/steps', requireControl, express.json(), async (req, res) => {
+  const stream = getStream(req.params.id);
+  if (!stream) {
+    return res.status(404).json({ error: `Stream "${req.params.id}" not found` });
+  }
+
+  let steps;
+  try {
+    steps = parseSteps(req.body.steps);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!stream.status.active || stream.type !== 'webpage') {
+    return res.status(409).json({ error: `Stream "${stream.id}" is not an active web page stream` });
+  }
+
+  try {
+    res.json({ steps: await stream.runPageSteps(steps) });
+  } catch (error) {
+    res.status(error.steps ? 422 : 409).json({ error: error.message, steps: error.steps });
+  }
+});
+
+// Change an overlay's text (or clock format) without restarting the encoder
+app.patch('/streams/:id/overlays/:overlayId', requireControl, express.json(), (req, res) => {
+  const stream = getStream(req.params.id);
+  if (!stream) {
+    return res.status(404).json({ error: `Stream "${req.params.id}" not found` });
+  }
+  if (!stream.overlays.has(req.params.overlayId)) {
+    return res.status(404).json({ error: `Overlay "${req.params.overlayId}" not found` });
+  }
+  if (!stream.status.active) {
+    return res.status(409).json({ error: `Stream "${stream.id}" is not active` });
+  }
+
+  try {
+    stream.updateOverlay(req.params.overlayId, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json({ overlays: stream.overlays.getStatus() });
+});
+
+// Change a composition's layout and/or audio input: { layout?, audio? }.
+// Only the encoder is respawned, the pages and destinations keep running.
+app.patch('/streams/:id/composition', requireControl, express.json(), async (req, res) => {
+  const stream = getStream(req.params.id);
+  if (!stream) {
+    return res.status(404).json({ error: `Stream "${req.params.id}" not found` });
+  }
+  if (stream.type !== 'composition' || !stream.status.active) {
+    return res.status(409).json({ error: `Stream "${stream.id}" is not an active composition` });
+  }
+
+  try {
+    res.json({ composition: await stream.updateComposition(req.body) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Playlist routes. Edits apply to the running queue; a restarted stream
+// starts again from the playlist it was created with.
+// Sends the 404/409 itself and returns null when the route cannot go on.
+function findPlaylistStream(req, res) {
+  const stream = getStream(req.params.id);
+  if (!stream) {
+    res.status(404).json({ error: `Stream "${req.params.id}" not found` });
+    return null;
+  }
+  if (!stream.playlist || !stream.status.active) {
+    res.status(409).json({ error: `Stream "${stream.id}" is not an active playlist stream` });
+    return null;
+  }
+  if (req.params.entryId && !stream.playlist.getEntry(req.params.entryId)) {
+    res.status(404).json({ error: `Playlist entry "${req.params.entryId}" not found` });
+    return null;
+  }
+  return stream;
 }
 
-async function stopStream() {
-  // Stop capture state
-  if (streamStatus.captureState) {
-    streamStatus.captureState.isCapturing = false;
-    
-    // Clear cleanup interval
-    if (streamStatus.captureState.cleanupInterval) {
-      clearInterval(streamStatus.captureState.cleanupInterval);
-      streamStatus.captureState.cleanupInterval = null;
-    }
+app.get('/streams/:id/playlist', requireRead, (req, res) => {
+  const stream = findPlaylistStream(req, res);
+  if (!stream) return;
+  res.json(stream.playlist.getStatus());
+});
+
+// Loop and shuffle modes: { loop?, shuffle? }
+app.patch('/streams/:id/playlist', requireControl, express.json(), (req, res) => {
+  const stream = findPlaylistStream(req, res);
+  if (!stream) return;
+  try {
+    stream.playlist.setMode(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
-  
-  if (currentStream) {
-    console.log('Stopping stream...');
-    currentStream.kill('SIGTERM');
-    currentStream = null;
-  }
-  
-  if (captureProcess && !captureProcess.killed) {
-    console.log('Stopping capture process...');
-    try {
-      captureProcess.kill('SIGTERM');
-      // Wait a bit for graceful shutdown
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      if (!captureProcess.killed) {
-        captureProcess.kill('SIGKILL');
-      }
-    } catch (error) {
-      console.error('Error stopping capture process:', error);
-    }
-    captureProcess = null;
-  }
-  
-  // Stop screencast if page exists
-  if (page) {
-    try {
-      const client = await page.target().createCDPSession();
-      await client.send('Page.stopScreencast');
-      await client.detach();
-    } catch (error) {
-      console.warn('Error stopping screencast:', error.message);
-    }
+  res.json(stream.playlist.getStatus());
+});
+
+app.post('/streams/:id/playlist/skip', requireControl, async (req, res) => {
+  const stream = findPlaylistStream(req, res);
+  if (!stream) return;
+  await stream.playlist.skip();
+  res.json(stream.playlist.getStatus());
+});
+
+// Add an entry: { entry, position? } (appended by default)
+app.post('/streams/:id/playlist/entries', requireControl, express.json(), (req, res) => {
+  const stream = findPlaylistStream(req, res);
+  if (!stream) return;
+  try {
+    const entry = stream.playlist.add(req.body.entry, req.body.position);
+    res.status(201).json(entry);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch('/streams/:id/playlist/entries/:entryId', requireControl, express.json(), (req, res) => {
+  const stream = findPlaylistStream(req, res);
+  if (!stream) return;
+  try {
+    res.json(stream.playlist.update(req.params.entryId, req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/streams/:id/playlist/entries/:entryId', requireControl, (req, res) => {
+  const stream = findPlaylistStream(req, res);
+  if (!stream) return;
+  stream.playlist.remove(req.params.entryId);
+  res.json(stream.playlist.getStatus());
+});
+
+// Reorder: { position } (0-based)
+app.post('/streams/:id/playlist/entries/:entryId/move', requireControl, express.json(), (req, res) => {
+  const stream = findPlaylistStream(req, res);
+  if (!stream) return;
+  try {
+    stream.playlist.move(req.params.entryId, req.body.position);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json(stream.playlist.getStatus());
+});
+
+// Replace the schedule slots: { schedule: [...] }
+app.put('/streams/:id/playlist/schedule', requireControl, express.json(), (req, res) => {
+  const stream = findPlaylistStream(req, res);
+  if (!stream) return;
+  try {
+    stream.playlist.setSchedule(req.body.schedule);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json(stream.playlist.getStatus());
+});
+
+// Monitoring: latest frame and a rolling HLS preview of what goes to air.
+// /snapshot.jpg and /preview/* are the default stream's.
+function monitoredStream(req, res) {
+  const id = req.params.id || DEFAULT_STREAM_ID;
+  const stream = getStream(id);
+  if (!stream) {
+    res.status(404).json({ error: `Stream "${id}" not found` });
+    return null;
+  }
+  if (!stream.status.active) {
+    res.status(409).json({ error: `Stream "${id}" is not active` });
+    return null;
+  }
+  return stream;
+}
+
+async function sendSnapshot(req, res) {
+  const stream = monitoredStream(req, res);
+  if (!stream) return;
+  try {
+    const image = await stream.getSnapshot();
+    res.set('Cache-Control', 'no-store').type('jpeg').send(image);
+  } catch (error) {
+    res.status(503).json({ error: error.message });
   }
-  
-  if (browser) {
-    console.log('Closing browser...');
-    await browser.close();
-    browser = null;
-    page = null;
-  }
-  
-  streamStatus.active = false;
-  streamStatus.error = null;
-  streamStatus.captureState = null;
 }
 
-// Graceful shutdown
+async function sendPreviewPlaylist(req, res) {
+  const stream = monitoredStream(req, res);
+  if (!stream) return;
+  stream.preview.touch();
+  const file = await stream.preview.waitForPlaylist();
+  if (!file) {
+    return res.status(503).set('Retry-After', '2').json({ error: 'Preview is starting, try again shortly' });
+  }
+  res.set('Cache-Control', 'no-store').sendFile(file);
+}
+
+function sendPreviewSegment(req, res) {
+  const stream = monitoredStream(req, res);
+  if (!stream) return;
+  stream.preview.touch();
+  const file = stream.preview.segmentFile(req.params.segment);
+  if (!file) {
+    return res.status(404).json({ error: `Segment "${req.params.segment}" not found` });
+  }
+  res.type('video/mp2t').sendFile(file);
+}
+
+app.get('/snapshot.jpg', requireRead, sendSnapshot);
+app.get('/preview/index.m3u8', requireRead, sendPreviewPlaylist);
+app.get('/preview/:segment', requireRead, sendPreviewSegment);
+app.get('/streams/:id/snapshot.jpg', requireRead, sendSnapshot);
+app.get('/streams/:id/preview/index.m3u8', requireRead, sendPreviewPlaylist);
+app.get('/streams/:id/preview/:segment', requireRead, sendPreviewSegment);
+
+// Start recording a running stream: { format?, segmentSeconds?, maxSegmentMb? }
+app.post('/streams/:id/recording', requireControl, express.json(), (req, res) => {
+  const stream = getStream(req.params.id);
+  if (!stream) {
+    return res.status(404).json({ error: `Stream "${req.params.id}" not found` });
+  }
+
+  let options;
+  try {
+    options = parseRecording(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!stream.status.active) {
+    return res.status(409).json({ error: `Stream "${stream.id}" is not active` });
+  }
+  if (stream.recorder.active) {
+    return res.status(409).json({ error: `Stream "${stream.id}" is already recording` });
+  }
+  stream.startRecording(options);
+  res.status(201).json(stream.recorder.getStatus());
+});
+
+app.delete('/streams/:id/recording', requireControl, (req, res) => {
+  const stream = getStream(req.params.id);
+  if (!stream) {
+    return res.status(404).json({ error: `Stream "${req.params.id}" not found` });
+  }
+  if (!stream.recorder.active) {
+    return res.status(409).json({ error: `Stream "${stream.id}" is not recording` });
+  }
+  stream.stopRecording();
+  res.json(stream.recorder.getStatus());
+});
+
+// Recorded files, oldest first (?stream=<id> to filter)
+app.get('/recordings', requireRead, (req, res) => {
+  const recordings = listRecordings();
+  res.json({
+    recordings: req.query.stream ? recordings.filter(r => r.stream === req.query.stream) : recordings
+  });
+});
+
+app.get('/recordings/:name', requireRead, (req, res) => {
+  const file = recordingPath(req.params.name);
+  if (!file) {
+    return res.status(404).json({ error: `Recording "${req.params.name}" not found` });
+  }
+  res.download(file);
+});
+
+app.delete('/recordings/:name', requireControl, (req, res) => {
+  if (!recordingPath(req.params.name)) {
+    return res.status(404).json({ error: `Recording "${req.params.name}" not found` });
+  }
+  if (isRecording(req.params.name)) {
+    return res.status(409).json({ error: `Recording "${req.params.name}" is still being written` });
+  }
+  deleteRecording(req.params.name);
+  res.json({ message: `Recording "${req.params.name}" deleted` });
+});
+
+app.delete('/streams/:id', requireControl, async (req, res) => {
+  forgetStream(req.params.id);
+  const deleted = await deleteStream(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ error: `Stream "${req.params.id}" not found` });
+  }
+  res.json({ message: `Stream "${req.params.id}" deleted` });
+});
+
+// Graceful shutdown. The streams stay "running" in the state file, so the
+// next process restarts them.
 process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, stopping stream...');
-  await stopStream();
+  console.log('SIGTERM received, stopping streams...');
+  recordShutdown('SIGTERM');
+  await stopDryRun();
+  await stopAllStreams();
   process.exit(0);
 });
 
+process.on('SIGHUP', async () => {
+  console.log('SIGHUP received, reloading configuration...');
+  try {
+    await reloadConfig();
+  } catch (error) {
+    console.error(`Configuration not reloaded: ${error.message}`);
+  }
+});
+
 process.on('SIGINT', async () => {
-  console.log('SIGINT received, stopping stream...');
-  await stopStream();
+  console.log('SIGINT received, stopping streams...');
+  recordShutdown('SIGINT');
+  await stopDryRun();
+  await stopAllStreams();
   process.exit(0);
 });
 
-// Auto-start if SOURCE_URL or WEB_PAGE_URL is provided
-if (WEB_PAGE_URL) {
-  console.log('WEB_PAGE_URL detected, starting web page stream automatically...');
+// Boot: the streams saved in the state file, then the configured streams
+// (config file "streams", SOURCE_URL / WEB_PAGE_URL / PLAYLIST). A stream
+// started or stopped through the API is in the state file and wins over its
+// configured definition.
+const { previousShutdown } = getStateStatus();
+if (previousShutdown && !previousShutdown.clean) {
+  console.warn(`Previous process (started ${previousShutdown.startedAt}) did not shut down cleanly`);
+}
+const bootStreams = runningStreams().map(saved => ({ ...saved, from: 'the state file' }));
+for (const definition of config.streams) {
+  if (savedStream(definition.id)) {
+    console.log(`Stream "${definition.id}" is in the state file, its configured definition is not used`);
+  } else {
+    bootStreams.push({ id: definition.id, definition, from: 'the configuration' });
+  }
+}
+if (bootStreams.length > 0) {
+  console.log(`Starting ${bootStreams.length} stream(s) automatically: ${bootStreams.map(boot => boot.id).join(', ')}`);
   setTimeout(async () => {
-    try {
-      await startWebPageStream(WEB_PAGE_URL, PLAY_BUTTON_SELECTOR);
-    } catch (error) {
-      console.error('Failed to start web page stream:', error);
+    // One after the other - web page streams share the browser
+    for (const boot of bootStreams) {
+      const result = boot.from === 'the configuration'
+        ? await startConfiguredStream(boot.definition)
+        : await startNewStream(boot.definition, { persist: false });
+      if (result.error) {
+        console.error(`Failed to start stream "${boot.id}" from ${boot.from}:`, result.error);
+      }
     }
   }, 2000);
-} else if (SOURCE_URL) {
-  console.log('SOURCE_URL detected, starting stream automatically...');
-  setTimeout(() => startStream(SOURCE_URL), 1000);
 }
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  console.log(`RTMPS URL: ${RTMPS_URL}`);
-  console.log(`Target FPS: ${FPS}`);
+  console.log(`Configuration: ${config.file || 'environment only'}${config.file && config.overrides.length > 0 ? ` (overridden by ${config.overrides.join(', ')})` : ''}`);
+  console.log(`Destinations: ${STREAM_DEFAULTS.destinations.map(dest => redactUrl(dest.url)).join(', ')}`);
+  console.log(`Default encoding preset: ${STREAM_DEFAULTS.encoding.preset}${STREAM_DEFAULTS.encoding.fps ? ` at ${STREAM_DEFAULTS.encoding.fps} FPS` : ''}`);
+  if (auth.locked) {
+    console.warn('Warning: no API_TOKEN, API_READ_TOKEN or API_TOKENS_FILE set - the control routes are refused until a token is set (API_AUTH=off leaves the API open)');
+  } else if (!auth.enabled) {
+    console.warn('Warning: API_AUTH=off - the API is open to anyone who can reach this port');
+  }
 });
-
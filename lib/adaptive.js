@@ -0,0 +1,230 @@
+const { CpuMeter } = require('./usage');
+
+// Adaptive quality: when the encoder cannot keep up (small instance, busy
+// CPU, slow uplink), the stream steps down a ladder of encoding levels -
+// lower FPS and bitrate first, then the resolution too - and steps back up
+// once the pressure is gone. Level 0 is the stream's own encoding.
+//
+// Every ADAPTIVE_INTERVAL_MS the encoder is checked for pressure:
+// - FFmpeg speed below ADAPTIVE_MIN_SPEED (it encodes slower than real time)
+// - FFmpeg dropping frames
+// - the encoder's stdin backing up (a frame could not be written because the
+//   previous ones were not drained yet)
+// - FFmpeg CPU above ADAPTIVE_CPU_MAX percent of the machine
+// Two pressured checks in a row step down one level; a minute without
+// pressure (and with CPU to spare) steps up one level. Changing level
+// restarts the encoder, the destinations stay connected.
+const ADAPTIVE_INTERVAL_MS = 5000;
+const ADAPTIVE_MIN_SPEED = parseFloat(process.env.ADAPTIVE_MIN_SPEED) || 0.9;
+const ADAPTIVE_CPU_MAX = parseInt(process.env.ADAPTIVE_CPU_MAX) || 90;
+const RECOVER_CPU_MAX = ADAPTIVE_CPU_MAX * 0.6; // Stepping up needs headroom
+const DOWN_AFTER_CHECKS = 2;
+const UP_AFTER_CHECKS = 12;
+const SETTLE_MS = 15000; // A fresh encoder's speed and CPU are not representative
+const MAX_DROP_RATIO = 0.1; // Of the frames expected in one interval
+const MAX_HISTORY = 20;
+
+// Each level scales the stream's own FPS, width (and height) and bitrate
+const LADDER = [
+  { fps: 1, size: 1, bitrate: 1 },
+  { fps: 0.75, size: 1, bitrate: 0.75 },
+  { fps: 0.5, size: 0.75, bitrate: 0.5 },
+  { fps: 0.5, size: 0.5, bitrate: 0.3 }
+];
+
+function even(value, min) {
+  return Math.max(min, Math.round(value / 2) * 2);
+}
+
+function sameLevel(a, b) {
+  return ['width', 'height', 'fps', 'videoBitrate', 'x264Preset'].every(field => a[field] === b[field]);
+}
+
+// The encodings of the ladder for a base encoding, level 0 first. Levels
+// that would not change anything (already at the minimums) are left out.
+function encodingLadder(base) {
+  const levels = [base];
+  for (const step of LADDER.slice(1)) {
+    const encoding = {
+      ...base,
+      width: even(base.width * step.size, 160),
+      height: base.height === null ? null : even(base.height * step.size, 90),
+      fps: Math.max(1, Math.round(base.fps * step.fps)),
+      videoBitrate: Math.max(100, Math.round(base.videoBitrate * step.bitrate)),
+      x264Preset: 'ultrafast' // Cheapest x264 preset below level 0
+    };
+    if (!sameLevel(levels[levels.length - 1], encoding)) {
+      levels.push(encoding);
+    }
+  }
+  return levels;
+}
+
+function describe(encoding) {
+  return `${encoding.width}x${encoding.height || 'auto'} ${encoding.fps}fps ${encoding.videoBitrate}k`;
+}
+
+class AdaptiveQuality {
+  // `sample()` returns the encoder readings, null without a running encoder:
+  // { pid, uptimeMs, speed, droppedFrames, backpressure, ticks } (counters are
+  // cumulative). `apply(encoding)` restarts the pipeline with an encoding.
+  // `onChange(change)` is told about every level change.
+  constructor({ id, encoding, enabled, sample, apply, onChange }) {
+    this.id = id;
+    this.enabled = !!enabled && encoding.video;
+    this.levels = encoding.video ? encodingLadder(encoding) : [encoding];
+    this.sample = sample;
+    this.apply = apply;
+    this.onChange = onChange;
+    this.timer = null;
+    this.cpu = new CpuMeter();
+    this.changes = [];
+    this.reset();
+  }
+
+  get encoding() {
+    return this.levels[this.level];
+  }
+
+  get baseEncoding() {
+    return this.levels[0];
+  }
+
+  reset() {
+    this.level = 0;
+    this.pressureChecks = 0;
+    this.healthyChecks = 0;
+    this.last = null; // Counters at the previous check
+    this.signals = null;
+    this.changing = false;
+  }
+
+  start() {
+    this.stop();
+    if (!this.enabled) return;
+    console.log(`[${this.id}] Adaptive quality on: ${this.levels.map((encoding, level) => `level ${level} ${describe(encoding)}`).join(', ')}`);
+    this.timer = setInterval(() => this.check(), ADAPTIVE_INTERVAL_MS);
+  }
+
+  // Back to level 0, the next start uses the stream's own encoding
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.reset();
+  }
+
+  // Why the encoder is under pressure since the previous check ([] when it is not)
+  pressure(reading, cpuPercent) {
+    const reasons = [];
+    const last = this.last;
+    if (reading.speed !== null && reading.speed !== undefined && reading.speed < ADAPTIVE_MIN_SPEED) {
+      reasons.push(`speed ${reading.speed}x`);
+    }
+    if (last && last.pid === reading.pid) {
+      const expected = this.encoding.fps * ADAPTIVE_INTERVAL_MS / 1000;
+      const dropped = (reading.droppedFrames || 0) - (last.droppedFrames || 0);
+      if (dropped > expected * MAX_DROP_RATIO) {
+        reasons.push(`FFmpeg dropped ${dropped} frames`);
+      }
+      const ticks = reading.ticks - last.ticks;
+      const backedUp = reading.backpressure - last.backpressure;
+      if (ticks > 0 && backedUp > ticks * MAX_DROP_RATIO) {
+        reasons.push(`encoder input backed up (${backedUp} of ${ticks} frames)`);
+      }
+    }
+    if (cpuPercent !== null && cpuPercent > ADAPTIVE_CPU_MAX) {
+      reasons.push(`FFmpeg CPU ${cpuPercent}%`);
+    }
+    return reasons;
+  }
+
+  async check() {
+    if (this.changing) return;
+    const reading = this.sample();
+    if (!reading || reading.uptimeMs < SETTLE_MS) {
+      // No encoder, or a fresh one: start counting again once it settled
+      this.last = null;
+      this.pressureChecks = 0;
+      this.healthyChecks = 0;
+      return;
+    }
+
+    const cpuPercent = this.cpu.sample(reading.pid);
+    const reasons = this.pressure(reading, cpuPercent);
+    this.last = reading;
+    this.signals = {
+      at: new Date().toISOString(),
+      speed: reading.speed === undefined ? null : reading.speed,
+      cpuPercent,
+      pressure: reasons
+    };
+
+    if (reasons.length > 0) {
+      this.healthyChecks = 0;
+      this.pressureChecks++;
+      if (this.pressureChecks >= DOWN_AFTER_CHECKS && this.level < this.levels.length - 1) {
+        await this.changeLevel(this.level + 1, reasons);
+      }
+    } else {
+      this.pressureChecks = 0;
+      const headroom = cpuPercent === null || cpuPercent < RECOVER_CPU_MAX;
+      this.healthyChecks = headroom ? this.healthyChecks + 1 : 0;
+      if (this.healthyChecks >= UP_AFTER_CHECKS && this.level > 0) {
+        await this.changeLevel(this.level - 1, ['no pressure for a minute']);
+      }
+    }
+  }
+
+  async changeLevel(level, reasons) {
+    const from = this.level;
+    const change = {
+      at: new Date().toISOString(),
+      from,
+      to: level,
+      direction: level > from ? 'down' : 'up',
+      reasons,
+      encoding: describe(this.levels[level]),
+      error: null
+    };
+    console.log(`[${this.id}] Adaptive quality: level ${from} (${describe(this.levels[from])}) -> level ${level} (${change.encoding}): ${reasons.join(', ')}`);
+
+    this.changing = true;
+    this.level = level;
+    this.pressureChecks = 0;
+    this.healthyChecks = 0;
+    this.last = null;
+    try {
+      await this.apply(this.encoding);
+    } catch (error) {
+      // The pipeline's supervisor handles a failed restart, at the new level
+      change.error = error.message;
+      console.error(`[${this.id}] Adaptive quality: restart at level ${level} failed: ${error.message}`);
+    } finally {
+      this.changing = false;
+    }
+
+    this.changes.push(change);
+    if (this.changes.length > MAX_HISTORY) {
+      this.changes.shift();
+    }
+    this.onChange(change);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      level: this.level,
+      maxLevel: this.levels.length - 1,
+      levels: this.levels.map(describe),
+      signals: this.signals,
+      changes: this.changes
+    };
+  }
+}
+
+module.exports = {
+  AdaptiveQuality,
+  encodingLadder
+};
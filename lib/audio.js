@@ -0,0 +1,303 @@
+const { spawn, execSync } = require('child_process');
+const fs = require('fs');
+
+// Raw PCM format written to the audio FIFO. FFmpeg reads it with
+// `-f s16le -ar AUDIO_SAMPLE_RATE -ac AUDIO_CHANNELS`.
+const AUDIO_SAMPLE_RATE = 44100;
+const AUDIO_CHANNELS = 2;
+const BYTES_PER_FRAME = AUDIO_CHANNELS * 2; // s16le
+const PULSE_SINK_NAME = process.env.PULSE_SINK_NAME || 'webstreamer'; // Prefix of the sink names
+
+let pulseSetup = null;
+const sinks = new Map(); // Sink name -> index of the module that created it (null: not ours)
+
+function commandExists(command) {
+  try {
+    execSync(`which ${command}`, { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Make sure a PulseAudio daemon is running. Resolves with true, or false when
+// PulseAudio is not usable (we then fall back to generated silence). Only
+// runs once per process.
+function setupPulseAudio() {
+  if (pulseSetup) return pulseSetup;
+
+  pulseSetup = (async () => {
+    if (process.env.AUDIO_CAPTURE === 'off') {
+      console.log('Audio capture disabled by AUDIO_CAPTURE=off');
+      return false;
+    }
+    if (!commandExists('pactl') || !commandExists('parec')) {
+      console.warn('PulseAudio tools (pactl/parec) not found, page audio will be silent');
+      return false;
+    }
+
+    try {
+      execSync('pactl info', { stdio: 'ignore' });
+    } catch (e) {
+      console.log('Starting PulseAudio daemon...');
+      try {
+        execSync('pulseaudio -D --exit-idle-time=-1 --disallow-exit', { stdio: 'ignore' });
+        // Give the daemon a moment to create its socket
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        execSync('pactl info', { stdio: 'ignore' });
+      } catch (error) {
+        console.warn('Could not start PulseAudio, page audio will be silent:', error.message);
+        return false;
+      }
+    }
+    return true;
+  })();
+
+  return pulseSetup;
+}
+
+// A null sink of its own for one audio source (a stream's page, a page of a
+// composition), so that each stream records its own page only: "<prefix>-<id>".
+// Resolves with the sink name, or null without PulseAudio (silence).
+async function createSink(id) {
+  if (!(await setupPulseAudio())) return null;
+  const name = `${PULSE_SINK_NAME}-${id}`;
+  if (sinks.has(name)) return name;
+  try {
+    const existing = execSync('pactl list short sinks').toString();
+    if (existing.split('\n').some(line => line.split('\t')[1] === name)) {
+      sinks.set(name, null); // Left over by a previous process, reused as is
+    } else {
+      const index = execSync(`pactl load-module module-null-sink sink_name=${name} sink_properties=device.description=${name}`).toString().trim();
+      sinks.set(name, index);
+    }
+    console.log(`PulseAudio null sink ready: ${name}`);
+    return name;
+  } catch (error) {
+    console.warn(`Could not create PulseAudio null sink ${name}, page audio will be silent:`, error.message);
+    return null;
+  }
+}
+
+// Unload a sink of createSink() once its pages are closed
+function removeSink(name) {
+  if (!name || !sinks.has(name)) return;
+  const index = sinks.get(name);
+  sinks.delete(name);
+  if (index === null) return;
+  try {
+    execSync(`pactl unload-module ${index}`, { stdio: 'ignore' });
+  } catch (error) {
+    console.warn(`Could not remove PulseAudio null sink ${name}:`, error.message);
+  }
+}
+
+// Feeds PCM into a FIFO at a steady real-time rate.
+// Captured audio (from the sink monitor) is used when available, and silence is
+// generated to fill any gap so FFmpeg never stalls waiting on the pipe.
+// The capture buffer is bounded: the oldest audio is dropped once it is full.
+class AudioPump {
+  constructor({ pipePath, sinkName = null, chunkMs = 50, maxBufferMs = 1000 }) {
+    this.pipePath = pipePath;
+    this.sinkName = sinkName;
+    this.chunkMs = chunkMs;
+    this.maxBufferBytes = Math.floor(AUDIO_SAMPLE_RATE * maxBufferMs / 1000) * BYTES_PER_FRAME;
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.bytesWritten = 0;
+    this.bytesCaptured = 0;
+    this.bytesDropped = 0;
+    this.silenceBytes = 0;
+    this.recorder = null;
+    this.pipe = null;
+    this.timer = null;
+    this.startedAt = null;
+    this.writable = false;
+    this.running = false;
+  }
+
+  get source() {
+    return this.recorder ? 'pulse' : 'silence';
+  }
+
+  start() {
+    this.running = true;
+
+    if (this.sinkName) {
+      this.startRecorder();
+    }
+
+    // Opening a FIFO for writing completes only once FFmpeg opens it for reading
+    this.pipe = fs.createWriteStream(this.pipePath, { flags: 'w' });
+    this.pipe.on('error', (error) => {
+      if (error.code !== 'EPIPE') {
+        console.error('Audio pipe error:', error.message);
+      }
+      this.writable = false;
+    });
+    this.pipe.on('drain', () => {
+      this.writable = true;
+    });
+    this.pipe.on('open', () => {
+      if (!this.running) return;
+      console.log(`Audio pipe opened by FFmpeg (source: ${this.source})`);
+      this.writable = true;
+      this.startedAt = Date.now();
+      // Audio captured before FFmpeg was ready would only add latency
+      this.buffer = [];
+      this.bufferedBytes = 0;
+      // Small head start so FFmpeg has audio to probe right away
+      this.writeSilence(this.bytesFor(200));
+      this.timer = setInterval(() => this.tick(), this.chunkMs);
+    });
+  }
+
+  startRecorder() {
+    const args = [
+      `--device=${this.sinkName}.monitor`,
+      '--format=s16le',
+      `--rate=${AUDIO_SAMPLE_RATE}`,
+      `--channels=${AUDIO_CHANNELS}`,
+      '--latency-msec=50',
+      '--raw'
+    ];
+    this.recorder = spawn('parec', args);
+
+    this.recorder.stdout.on('data', (chunk) => {
+      this.bytesCaptured += chunk.length;
+      this.buffer.push(chunk);
+      this.bufferedBytes += chunk.length;
+      // Keep memory bounded - drop the oldest audio first
+      while (this.bufferedBytes > this.maxBufferBytes && this.buffer.length > 0) {
+        const dropped = this.buffer.shift();
+        this.bufferedBytes -= dropped.length;
+        this.bytesDropped += dropped.length;
+      }
+    });
+
+    this.recorder.stderr.on('data', (data) => {
+      console.warn('parec:', data.toString().trim());
+    });
+
+    this.recorder.on('error', (error) => {
+      console.error('Audio recorder error:', error.message);
+    });
+
+    this.recorder.on('exit', (code, signal) => {
+      if (this.running) {
+        console.warn(`Audio recorder exited with code ${code}, signal ${signal} - continuing with silence`);
+      }
+      this.recorder = null;
+    });
+  }
+
+  bytesFor(ms) {
+    return Math.floor(AUDIO_SAMPLE_RATE * ms / 1000) * BYTES_PER_FRAME;
+  }
+
+  tick() {
+    if (!this.running || !this.pipe) return;
+
+    // Write exactly as many bytes as real time says are due, so the audio
+    // clock does not drift regardless of timer jitter
+    const due = this.bytesFor(Date.now() - this.startedAt) - this.bytesWritten;
+    if (due <= 0) return;
+
+    if (!this.writable) {
+      // FFmpeg is not keeping up: skip this slot rather than queueing in memory
+      this.bytesWritten += due;
+      this.bytesDropped += due;
+      return;
+    }
+
+    const parts = [];
+    let remaining = due;
+    while (remaining > 0 && this.buffer.length > 0) {
+      const chunk = this.buffer[0];
+      if (chunk.length <= remaining) {
+        parts.push(this.buffer.shift());
+        remaining -= chunk.length;
+      } else {
+        parts.push(chunk.subarray(0, remaining));
+        this.buffer[0] = chunk.subarray(remaining);
+        remaining = 0;
+      }
+    }
+    this.bufferedBytes -= due - remaining;
+
+    if (remaining > 0) {
+      parts.push(Buffer.alloc(remaining));
+      this.silenceBytes += remaining;
+    }
+
+    this.write(Buffer.concat(parts));
+  }
+
+  writeSilence(bytes) {
+    this.silenceBytes += bytes;
+    this.write(Buffer.alloc(bytes));
+  }
+
+  write(data) {
+    this.bytesWritten += data.length;
+    try {
+      if (!this.pipe.write(data)) {
+        this.writable = false;
+      }
+    } catch (error) {
+      this.writable = false;
+    }
+  }
+
+  getStats() {
+    return {
+      source: this.source,
+      sink: this.sinkName,
+      bufferedMs: Math.round(this.bufferedBytes / BYTES_PER_FRAME / AUDIO_SAMPLE_RATE * 1000),
+      capturedSeconds: Math.round(this.bytesCaptured / BYTES_PER_FRAME / AUDIO_SAMPLE_RATE),
+      silenceSeconds: Math.round(this.silenceBytes / BYTES_PER_FRAME / AUDIO_SAMPLE_RATE),
+      droppedSeconds: Math.round(this.bytesDropped / BYTES_PER_FRAME / AUDIO_SAMPLE_RATE)
+    };
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.recorder) {
+      this.recorder.kill('SIGTERM');
+      this.recorder = null;
+    }
+    if (this.pipe) {
+      if (!this.startedAt) {
+        // FFmpeg never opened the FIFO: our pending open() would block a libuv
+        // thread forever, so briefly open the read end to release it
+        try {
+          fs.closeSync(fs.openSync(this.pipePath, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK));
+        } catch (e) {
+          // Nothing to release
+        }
+      }
+      this.pipe.destroy();
+      this.pipe = null;
+    }
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    try {
+      fs.unlinkSync(this.pipePath);
+    } catch (e) {
+      // Already removed
+    }
+  }
+}
+
+module.exports = {
+  AUDIO_SAMPLE_RATE,
+  AUDIO_CHANNELS,
+  setupPulseAudio,
+  createSink,
+  removeSink,
+  AudioPump
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Token authentication for the HTTP API. Two scopes:
+// - read: GET routes (status, streams, metrics)
+// - control: everything read can do, plus starting/stopping streams
+// Tokens come from API_TOKEN / API_READ_TOKEN (comma separated) and/or a JSON
+// file at API_TOKENS_FILE: { "control": ["..."], "read": ["..."] }.
+// With no token configured, the read routes stay open but the control routes
+// are refused (503) - unless API_AUTH=off explicitly leaves the whole API open.
+const SCOPES = ['read', 'control'];
+
+function splitTokens(value) {
+  return (value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+// Returns [{ token, scope }]. Throws on an unreadable or malformed file.
+function loadTokens(env = process.env) {
+  const tokens = [];
+  splitTokens(env.API_TOKEN).forEach(token => tokens.push({ token, scope: 'control' }));
+  splitTokens(env.API_READ_TOKEN).forEach(token => tokens.push({ token, scope: 'read' }));
+
+  if (env.API_TOKENS_FILE) {
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(env.API_TOKENS_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read ${env.API_TOKENS_FILE}: ${error.message}`);
+    }
+    for (const scope of Object.keys(file)) {
+      if (!SCOPES.includes(scope)) {
+        throw new Error(`Unknown scope "${scope}" in ${env.API_TOKENS_FILE} (expected: ${SCOPES.join(', ')})`);
+      }
+      if (!Array.isArray(file[scope]) || file[scope].some(token => typeof token !== 'string' || !token)) {
+        throw new Error(`"${scope}" in ${env.API_TOKENS_FILE} must be a list of tokens`);
+      }
+      file[scope].forEach(token => tokens.push({ token, scope }));
+    }
+  }
+  return tokens;
+}
+
+// API_AUTH: "on" (default) or "off". Throws on any other value.
+function authDisabled(env = process.env) {
+  const value = env.API_AUTH;
+  if (value === undefined || value === '') return false;
+  if (!['on', 'off'].includes(value)) {
+    throw new Error('API_AUTH must be "on" or "off"');
+  }
+  return value === 'off';
+}
+
+// Constant-time comparison so the token cannot be guessed byte by byte
+function tokenMatches(candidate, token) {
+  const a = crypto.createHash('sha256').update(candidate).digest();
+  const b = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Accepts "Authorization: Bearer <token>" or "X-API-Token: <token>". Event
+// streams also accept ?access_token=<token>, as a browser EventSource cannot
+// set headers.
+function requestToken(req) {
+  const header = req.get('authorization');
+  if (header && /^bearer\s+/i.test(header)) {
+    return header.replace(/^bearer\s+/i, '').trim();
+  }
+  if (req.get('x-api-token')) {
+    return req.get('x-api-token');
+  }
+  const acceptsEvents = (req.get('accept') || '').includes('text/event-stream');
+  if (req.method === 'GET' && acceptsEvents && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+// Express middleware factory: requireScope('read') or requireScope('control').
+// `disabled` (API_AUTH=off) lets every request through.
+function createAuth(tokens, { disabled = false } = {}) {
+  const enabled = !disabled && tokens.length > 0;
+  // No token to check against: fail closed on the control routes
+  const locked = !disabled && tokens.length === 0;
+
+  const scopeOf = (candidate) => {
+    let scope = null;
+    for (const entry of tokens) {
+      if (tokenMatches(candidate, entry.token) && (scope === null || entry.scope === 'control')) {
+        scope = entry.scope;
+      }
+    }
+    return scope;
+  };
+
+  const requireScope = (required) => (req, res, next) => {
+    if (locked && required === 'control') {
+      return res.status(503).json({ error: 'No API token configured: set API_TOKEN or API_TOKENS_FILE to use this route (or API_AUTH=off to leave the API open)' });
+    }
+    if (!enabled) return next();
+
+    const candidate = requestToken(req);
+    if (!candidate) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Missing API token' });
+    }
+    const scope = scopeOf(candidate);
+    if (!scope) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Invalid API token' });
+    }
+    if (required === 'control' && scope !== 'control') {
+      return res.status(403).json({ error: 'This token is read-only' });
+    }
+    next();
+  };
+
+  return { enabled, locked, requireScope };
+}
+
+module.exports = {
+  loadTokens,
+  authDisabled,
+  createAuth
+};
@@ -0,0 +1,278 @@
+const puppeteer = require('puppeteer');
+
+// Headless Chromium for the web page streams, each stream gets its own page.
+// Chromium plays the audio of all its pages into one PulseAudio sink (chosen
+// per process with PULSE_SINK), so a stream recording its page audio gets a
+// browser of its own, playing into the stream's own sink. Pages without a
+// sink (probes, no PulseAudio) share one muted browser. A browser is launched
+// on first use and closed with its last page. A recycled (retired) browser
+// takes no new pages and is closed with its last one, while the new pages go
+// to a fresh browser.
+const browsers = new Map(); // sink ('' = muted, shared) -> current browser
+const launching = new Map(); // sink -> browser being launched
+const openPages = new Map(); // page -> the current or retired browser it belongs to
+const openingPages = new Map(); // browser -> pages being opened in it (newPage() in flight)
+const browserSinks = new Map(); // browser -> the sink it plays into ('' = muted)
+// x11grab capture: each stream gets its own headful browser in its own Xvfb
+// display (page -> browser), closed with the page.
+const displayBrowsers = new Map();
+// From the config file's "browser" section: { executablePath, windowSize, extraArgs }.
+// Changes apply to the next launch, the running browsers are left alone.
+let browserOptions = {};
+
+function setBrowserOptions(options) {
+  browserOptions = options || {};
+}
+
+function getWindowSize() {
+  return browserOptions.windowSize || '1920x1080';
+}
+
+function chromiumArgs() {
+  const { extraArgs = [] } = browserOptions;
+  return [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    `--window-size=${getWindowSize().replace('x', ',')}`,
+    '--autoplay-policy=no-user-gesture-required',
+    '--enable-features=UseChromeOSDirectVideoDecoder',
+    '--use-fake-ui-for-media-stream', // Allow audio capture
+    '--use-fake-device-for-media-stream',
+    '--allow-running-insecure-content',
+    ...extraArgs
+  ];
+}
+
+function browserLabel(sink) {
+  return sink ? `browser of sink ${sink}` : 'shared browser';
+}
+
+async function launchBrowser(sink) {
+  console.log(`Launching ${browserLabel(sink)}...`);
+  const { executablePath } = browserOptions;
+  const launched = await puppeteer.launch({
+    headless: true,
+    ...(executablePath ? { executablePath } : {}),
+    // Route Chrome's audio output to the sink. Puppeteer mutes audio by
+    // default, which would leave the sink silent; without a sink it stays muted.
+    ...(sink ? { ignoreDefaultArgs: ['--mute-audio'], env: { ...process.env, PULSE_SINK: sink } } : {}),
+    args: chromiumArgs()
+  });
+  browserSinks.set(launched, sink);
+
+  launched.on('disconnected', () => {
+    for (const [page, owner] of openPages) {
+      if (owner === launched) {
+        openPages.delete(page);
+      }
+    }
+    browserSinks.delete(launched);
+    if (browsers.get(sink) === launched) {
+      console.error(`Chromium disconnected (${browserLabel(sink)})`);
+      browsers.delete(sink);
+    }
+  });
+
+  browsers.set(sink, launched);
+  return launched;
+}
+
+// The current browser playing into the sink (null: the muted shared one)
+async function getBrowser(sink = null) {
+  const key = sink || '';
+  const current = browsers.get(key);
+  if (current && current.connected) {
+    return current;
+  }
+  if (!launching.has(key)) {
+    launching.set(key, launchBrowser(key).finally(() => {
+      launching.delete(key);
+    }));
+  }
+  return launching.get(key);
+}
+
+// Open a new page in the browser playing into the sink (see createSink() in
+// lib/audio.js), or in the muted shared browser without one. Returns the page
+// and the browser it belongs to, so callers can watch that browser for crashes.
+async function openPage({ sink = null } = {}) {
+  const owner = await getBrowser(sink);
+  // Counted until newPage() resolves, so a page closed meanwhile does not
+  // close the browser under this one
+  openingPages.set(owner, (openingPages.get(owner) || 0) + 1);
+  let page;
+  try {
+    page = await owner.newPage();
+  } finally {
+    const opening = openingPages.get(owner) - 1;
+    if (opening > 0) {
+      openingPages.set(owner, opening);
+    } else {
+      openingPages.delete(owner);
+    }
+  }
+  openPages.set(page, owner);
+  return { browser: owner, page };
+}
+
+// Open a page in a headful browser of its own, shown full screen on an X
+// display (":99") for x11grab capture, playing into the sink (muted without
+// one). Same return value as openPage().
+async function openDisplayPage(display, sink = null) {
+  console.log(`Launching browser on display ${display}...`);
+  const { executablePath } = browserOptions;
+  const launched = await puppeteer.launch({
+    headless: false,
+    ...(executablePath ? { executablePath } : {}),
+    // No "controlled by automated software" infobar in the captured picture
+    ignoreDefaultArgs: sink ? ['--mute-audio', '--enable-automation'] : ['--enable-automation'],
+    env: { ...process.env, DISPLAY: display, ...(sink ? { PULSE_SINK: sink } : {}) },
+    // The page fills the window, which fills the display
+    defaultViewport: null,
+    args: [
+      ...chromiumArgs(),
+      '--kiosk',
+      '--window-position=0,0',
+      '--no-first-run',
+      '--disable-infobars'
+    ]
+  });
+
+  try {
+    // Reuse the initial tab, a second window would sit on top of it
+    const [initial] = await launched.pages();
+    const page = initial || await launched.newPage();
+    displayBrowsers.set(page, launched);
+    browserSinks.set(launched, sink || '');
+    return { browser: launched, page };
+  } catch (error) {
+    await launched.close().catch(() => {});
+    throw error;
+  }
+}
+
+async function closePage(page) {
+  if (!page) return;
+
+  const displayBrowser = displayBrowsers.get(page);
+  if (displayBrowser) {
+    displayBrowsers.delete(page);
+    browserSinks.delete(displayBrowser);
+    await displayBrowser.close().catch((error) => {
+      console.warn('Error closing display browser:', error.message);
+    });
+    return;
+  }
+
+  const owner = openPages.get(page);
+  openPages.delete(page);
+
+  try {
+    if (!page.isClosed()) {
+      await page.close();
+    }
+  } catch (error) {
+    console.warn('Error closing page:', error.message);
+  }
+
+  if (!owner || countPages(owner) > 0) return;
+  const sink = browserSinks.get(owner);
+  if (browsers.get(sink) !== owner) {
+    console.log('Closing recycled browser...');
+    await owner.close().catch(() => {});
+    return;
+  }
+
+  // Last page gone: free Chromium's memory until the next page needs it
+  if (!launching.has(sink)) {
+    console.log(`Closing ${browserLabel(sink)}...`);
+    browsers.delete(sink);
+    await owner.close().catch(() => {});
+  }
+}
+
+// Open pages of a browser, and those being opened
+function countPages(owner) {
+  let count = openingPages.get(owner) || 0;
+  for (const pageOwner of openPages.values()) {
+    if (pageOwner === owner) count++;
+  }
+  return count;
+}
+
+// Recycle the browser playing into the sink (null: the shared one): it takes
+// no new pages any more, the next openPage() launches a fresh one. The
+// retired browser is closed with its last page (right away without any).
+// Returns it, null without a browser.
+async function retireBrowser(sink = null) {
+  const key = sink || '';
+  const retired = browsers.get(key);
+  if (!retired) return null;
+  browsers.delete(key);
+  console.log(`Retiring ${browserLabel(key)}, new pages open in a fresh one`);
+  if (countPages(retired) === 0) {
+    await retired.close().catch(() => {});
+  }
+  return retired;
+}
+
+// Every running browser for the resource guard: { kind, browser, sink, pid, pages }
+// with kind "shared" (muted), "sink" (playing into a stream's sink), "retired"
+// or "display" (x11grab, one per stream). sink is null when muted.
+function listBrowsers() {
+  const owners = new Set([...openPages.values(), ...browsers.values()]);
+  const list = [...owners].map(owner => {
+    const sink = browserSinks.get(owner) || '';
+    return {
+      kind: browsers.get(sink) !== owner ? 'retired' : sink ? 'sink' : 'shared',
+      browser: owner,
+      sink: sink || null,
+      pages: countPages(owner)
+    };
+  });
+  for (const displayBrowser of displayBrowsers.values()) {
+    list.push({ kind: 'display', browser: displayBrowser, sink: browserSinks.get(displayBrowser) || null, pages: 1 });
+  }
+  return list.map(entry => {
+    const child = entry.browser.process();
+    return { ...entry, pid: child ? child.pid : null };
+  });
+}
+
+async function closeBrowser() {
+  const closingDisplays = [...displayBrowsers.values()];
+  displayBrowsers.clear();
+  await Promise.all(closingDisplays.map(closing => closing.close().catch(() => {})));
+
+  const closing = new Set([...openPages.values(), ...browsers.values()]);
+  openPages.clear();
+  browsers.clear();
+  await Promise.all([...closing].map(owner => owner.close().catch(() => {})));
+}
+
+function getBrowserStatus() {
+  const current = [...browsers.values()];
+  return {
+    running: current.some(owner => owner.connected),
+    browsers: current.length,
+    pages: current.reduce((total, owner) => total + countPages(owner), 0),
+    retired: new Set([...openPages.values()].filter(owner => !current.includes(owner))).size,
+    displayBrowsers: displayBrowsers.size
+  };
+}
+
+module.exports = {
+  getBrowser,
+  openPage,
+  openDisplayPage,
+  closePage,
+  closeBrowser,
+  retireBrowser,
+  listBrowsers,
+  setBrowserOptions,
+  getWindowSize,
+  getBrowserStatus
+};
@@ -0,0 +1,188 @@
+const { parseSteps } = require('./steps');
+const { outputHeight } = require('./encoding');
+
+// Composition: one output made of several inputs - screencast pages and
+// FFmpeg-readable URLs - laid out on a black canvas of the output size:
+// - pip: the first input fills the frame, the second is inset in a corner
+// - 2x1: two inputs side by side
+// - 2x2: up to four inputs in a grid (empty cells stay black)
+// Each input is scaled to fit its cell (letterboxed, never cropped). One
+// input (or none, for silence) supplies the audio.
+//
+// The layout is an FFmpeg filter graph: changing it respawns the encoder
+// only, the pages keep running and the destinations stay connected.
+const MAX_INPUTS = 4;
+const INPUT_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const LAYOUTS = {
+  pip: { minInputs: 2, maxInputs: 2 },
+  '2x1': { minInputs: 2, maxInputs: 2 },
+  '2x2': { minInputs: 2, maxInputs: MAX_INPUTS }
+};
+const PIP_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const PIP_DEFAULTS = { position: 'bottom-right', size: 0.3, margin: 20 };
+
+// Validate one input. Throws an Error with a user-facing message.
+function parseInput(raw, fallbackId) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('must be an object');
+  }
+  const sources = ['url', 'webPageUrl'].filter(field => raw[field] !== undefined);
+  if (sources.length !== 1) {
+    throw new Error('needs exactly one of "url" or "webPageUrl"');
+  }
+  const field = sources[0];
+  if (typeof raw[field] !== 'string' || !raw[field]) {
+    throw new Error(`"${field}" must be a string`);
+  }
+  if (field === 'webPageUrl' && !/^https?:\/\//i.test(raw.webPageUrl)) {
+    throw new Error('"webPageUrl" must be http:// or https://');
+  }
+
+  const input = { id: raw.id || fallbackId, [field]: raw[field] };
+  if (typeof input.id !== 'string' || !INPUT_ID_PATTERN.test(input.id)) {
+    throw new Error('id must be 1-32 letters, digits, "-" or "_"');
+  }
+  if (raw.playButtonSelector != null || raw.steps != null) {
+    if (field !== 'webPageUrl') {
+      throw new Error('playButtonSelector and steps only apply to web page inputs');
+    }
+    if (raw.playButtonSelector != null) input.playButtonSelector = String(raw.playButtonSelector);
+    if (raw.steps != null) input.steps = parseSteps(raw.steps);
+  }
+  return input;
+}
+
+// Validate a layout ("2x2", or { type, position, size, margin } for pip)
+// for `count` inputs. Throws an Error with a user-facing message.
+function parseLayout(raw, count) {
+  const layout = typeof raw === 'string' ? { type: raw } : raw;
+  if (!layout || typeof layout !== 'object' || !LAYOUTS[layout.type]) {
+    throw new Error(`layout type must be one of: ${Object.keys(LAYOUTS).join(', ')}`);
+  }
+  const { minInputs, maxInputs } = LAYOUTS[layout.type];
+  if (count < minInputs || count > maxInputs) {
+    throw new Error(`layout "${layout.type}" takes ${minInputs === maxInputs ? minInputs : `${minInputs} to ${maxInputs}`} inputs, not ${count}`);
+  }
+
+  if (layout.type !== 'pip') {
+    if (['position', 'size', 'margin'].some(field => layout[field] !== undefined)) {
+      throw new Error('position, size and margin only apply to the pip layout');
+    }
+    return { type: layout.type };
+  }
+
+  const pip = { type: 'pip', ...PIP_DEFAULTS };
+  ['position', 'size', 'margin'].forEach((field) => {
+    if (layout[field] !== undefined) pip[field] = layout[field];
+  });
+  if (!PIP_POSITIONS.includes(pip.position)) {
+    throw new Error(`position must be one of: ${PIP_POSITIONS.join(', ')}`);
+  }
+  if (typeof pip.size !== 'number' || pip.size < 0.1 || pip.size > 0.5) {
+    throw new Error('size must be a fraction of the output width between 0.1 and 0.5');
+  }
+  if (!Number.isInteger(pip.margin) || pip.margin < 0 || pip.margin > 200) {
+    throw new Error('margin must be a number of pixels between 0 and 200');
+  }
+  return pip;
+}
+
+// The input supplying the audio: an input id, or null for silence
+function parseAudio(value, inputs) {
+  if (value === null || value === 'none') {
+    return null;
+  }
+  if (!inputs.some(input => input.id === value)) {
+    throw new Error(`audio must be the id of an input (${inputs.map(input => input.id).join(', ')}) or null for silence`);
+  }
+  return value;
+}
+
+// Validate a composition definition (from the API or the config file).
+// Throws an Error with a user-facing message on invalid input.
+function parseComposition(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('composition must be an object');
+  }
+  if (!Array.isArray(input.inputs) || input.inputs.length < 2 || input.inputs.length > MAX_INPUTS) {
+    throw new Error(`composition inputs must be a list of 2 to ${MAX_INPUTS} sources`);
+  }
+
+  const ids = new Set();
+  const inputs = input.inputs.map((raw, index) => {
+    try {
+      const parsed = parseInput(raw, `input${index + 1}`);
+      if (ids.has(parsed.id)) {
+        throw new Error(`duplicate id "${parsed.id}"`);
+      }
+      ids.add(parsed.id);
+      return parsed;
+    } catch (error) {
+      throw new Error(`Composition input ${index + 1}: ${error.message}`);
+    }
+  });
+
+  // Picture-in-picture for two inputs (a page over a video), a grid otherwise
+  const layout = parseLayout(input.layout !== undefined ? input.layout : (inputs.length === 2 ? 'pip' : '2x2'), inputs.length);
+  const audio = parseAudio(input.audio !== undefined ? input.audio : inputs[0].id, inputs);
+  return { inputs, layout, audio };
+}
+
+function even(value) {
+  return Math.max(2, Math.floor(value / 2) * 2);
+}
+
+// Rectangle of each input on the width x height canvas, in input order
+function layoutCells(layout, count, width, height) {
+  if (layout.type === 'pip') {
+    const w = even(width * layout.size);
+    const h = even(w * height / width);
+    const left = layout.position.endsWith('left');
+    const top = layout.position.startsWith('top');
+    return [
+      { x: 0, y: 0, w: width, h: height },
+      {
+        x: left ? layout.margin : width - w - layout.margin,
+        y: top ? layout.margin : height - h - layout.margin,
+        w,
+        h
+      }
+    ];
+  }
+  const w = even(width / 2);
+  const h = layout.type === '2x1' ? height : even(height / 2);
+  return Array.from({ length: count }, (_, index) => ({
+    x: (index % 2) * w,
+    y: Math.floor(index / 2) * h,
+    w,
+    h
+  }));
+}
+
+// filter_complex chains drawing the inputs on the canvas. `videoInputs` are
+// the FFmpeg input indexes of the composition inputs, in order. The result
+// is labelled [mix]. An input that ends ends the encoder (eof_action=endall),
+// so the supervisor restarts it instead of freezing that cell.
+function compositionFilters(layout, videoInputs, encoding) {
+  const width = encoding.width;
+  const height = outputHeight(encoding);
+  const cells = layoutCells(layout, videoInputs.length, width, height);
+  const chains = [`color=c=black:s=${width}x${height}:r=${encoding.fps}[canvas]`];
+
+  let current = 'canvas';
+  cells.forEach((cell, index) => {
+    const next = index === cells.length - 1 ? 'mix' : `layer${index}`;
+    chains.push(`[${videoInputs[index]}:v]fps=${encoding.fps},scale=${cell.w}:${cell.h}:force_original_aspect_ratio=decrease:force_divisible_by=2,` +
+      `pad=${cell.w}:${cell.h}:(ow-iw)/2:(oh-ih)/2,setsar=1[cell${index}]`);
+    chains.push(`[${current}][cell${index}]overlay=x=${cell.x}:y=${cell.y}:eof_action=endall[${next}]`);
+    current = next;
+  });
+  return chains;
+}
+
+module.exports = {
+  parseComposition,
+  parseLayout,
+  parseAudio,
+  compositionFilters
+};
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const { parseDestinations } = require('./destinations');
+const { resolveEncoding } = require('./encoding');
+const { parseSteps } = require('./steps');
+const { parseOverlays } = require('./overlays');
+const { parseSlate } = require('./slate');
+const { parseRecording } = require('./recorder');
+const { parseCaptureBackend } = require('./xvfb');
+const { buildStreamConfig } = require('./stream');
+const { DEFAULT_STREAM_ID } = require('./registry');
+
+// Declarative configuration: a JSON file describing the stream defaults
+// (destinations, encoding, play selector, steps, overlays, slate, recording,
+// capture, adaptive), the browser and the streams to start at boot:
+//
+// {
+//   "defaults": { "destinations": ["rtmps://..."], "encoding": { "preset": "sd", "fps": 5 } },
+//   "browser": { "windowSize": "1280x720", "extraArgs": ["--lang=fr-FR"] },
+//   "streams": [{ "id": "radio", "webPageUrl": "https://...", "playButtonSelector": "button.play" }]
+// }
+//
+// The file is validated against SCHEMA with the same validators as the API.
+// The environment variables of the previous versions still work and override
+// the file (ENV_OVERRIDES), so an env-only deployment needs no file at all.
+const CONFIG_FILE = process.env.CONFIG_FILE || (fs.existsSync('config.json') ? 'config.json' : null);
+const DEFAULT_PLAY_BUTTON_SELECTOR = 'button[aria-label="Play"], button[aria-label="play"], button[aria-label*="play" i], .play-button, [class*="play"], button:has-text("Play")';
+const WINDOW_SIZE_PATTERN = /^\d{3,4}x\d{3,4}$/;
+
+// `type` is checked first (with a message naming the setting), then `check`,
+// which returns the parsed value. Objects reject unknown settings, so a typo
+// is an error rather than a silently ignored line.
+const SCHEMA = {
+  type: 'object',
+  fields: {
+    defaults: {
+      type: 'object',
+      fields: {
+        destinations: { type: 'array', check: parseDestinations },
+        playButtonSelector: { type: 'string' },
+        // Only the preset and its FPS are defaults, the other encoding
+        // settings belong to each stream
+        encoding: {
+          type: 'object',
+          fields: {
+            preset: { type: 'string' },
+            fps: { type: 'integer' }
+          },
+          check: (encoding) => {
+            resolveEncoding({}, encoding);
+            return encoding;
+          }
+        },
+        steps: { type: 'array', check: parseSteps },
+        overlays: { type: 'array', check: parseOverlays },
+        slate: { type: ['object', 'null'], check: parseSlate },
+        recording: { type: ['object', 'boolean'], check: parseRecording },
+        capture: { type: 'string', check: parseCaptureBackend },
+        adaptive: { type: 'boolean' }
+      }
+    },
+    browser: {
+      type: 'object',
+      fields: {
+        executablePath: {
+          type: 'string',
+          check: (file) => {
+            if (!fs.existsSync(file)) throw new Error(`"${file}" not found`);
+            return file;
+          }
+        },
+        windowSize: {
+          type: 'string',
+          check: (size) => {
+            if (!WINDOW_SIZE_PATTERN.test(size)) throw new Error('must look like "1920x1080"');
+            return size;
+          }
+        },
+        extraArgs: {
+          type: 'array',
+          check: (args) => {
+            if (args.some(arg => typeof arg !== 'string' || !arg.startsWith('--'))) {
+              throw new Error('must be a list of "--flag" strings');
+            }
+            return args;
+          }
+        }
+      }
+    },
+    // Stream definitions, checked once the defaults are known
+    streams: { type: 'array' }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Validate `value` against `schema` and return the parsed value.
+// Errors name the setting: "defaults.encoding.fps: must be an integer".
+function validate(value, schema, where) {
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    throw new Error(`${where || 'config'}: must be ${types.map(type => (type === 'integer' || type === 'array' ? 'an ' : 'a ') + type).join(' or ')}`);
+  }
+
+  let parsed = value;
+  if (schema.fields && actual === 'object') {
+    parsed = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+      const field = schema.fields[key];
+      const fieldWhere = where ? `${where}.${key}` : key;
+      if (!field) {
+        throw new Error(`${fieldWhere}: unknown setting (expected one of: ${Object.keys(schema.fields).join(', ')})`);
+      }
+      parsed[key] = validate(fieldValue, field, fieldWhere);
+    }
+  }
+  if (schema.check) {
+    try {
+      parsed = schema.check(parsed);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  }
+  return parsed;
+}
+
+// Environment variables and the setting each one overrides. Values that are
+// not plain strings are parsed here, so "FPS=abc" is an error instead of a
+// silent default.
+const ENV_OVERRIDES = [
+  {
+    name: 'RTMPS_URL',
+    setting: 'defaults.destinations',
+    apply: (raw, value, env) => {
+      // RTMP_URL: plain RTMP fallbacks for the rtmps:// destinations, in the same order
+      const fallbacks = (env.RTMP_URL || '').split(/[\s,]+/).filter(Boolean);
+      raw.defaults.destinations = value.split(/[\s,]+/).filter(Boolean).map((url, index) => (
+        fallbacks[index] && /^rtmps:/i.test(url) ? { url, fallbackUrl: fallbacks[index] } : url
+      ));
+    }
+  },
+  { name: 'PLAY_BUTTON_SELECTOR', setting: 'defaults.playButtonSelector', apply: (raw, value) => { raw.defaults.playButtonSelector = value; } },
+  { name: 'ENCODING_PRESET', setting: 'defaults.encoding', apply: (raw, value) => { raw.defaults.encoding = { ...raw.defaults.encoding, preset: value }; } },
+  {
+    name: 'FPS',
+    setting: 'defaults.encoding',
+    apply: (raw, value) => {
+      if (!/^\d+$/.test(value.trim())) {
+        throw new Error('must be a whole number');
+      }
+      raw.defaults.encoding = { ...raw.defaults.encoding, fps: parseInt(value) };
+    }
+  },
+  { name: 'PAGE_STEPS', setting: 'defaults.steps', apply: (raw, value) => { raw.defaults.steps = JSON.parse(value); } },
+  { name: 'OVERLAYS', setting: 'defaults.overlays', apply: (raw, value) => { raw.defaults.overlays = JSON.parse(value); } },
+  { name: 'SLATE', setting: 'defaults.slate', apply: (raw, value) => { raw.defaults.slate = JSON.parse(value); } },
+  { name: 'CAPTURE_BACKEND', setting: 'defaults.capture', apply: (raw, value) => { raw.defaults.capture = value; } },
+  {
+    name: 'RECORD',
+    setting: 'defaults.recording',
+    apply: (raw, value) => {
+      if (!['on', 'off'].includes(value)) {
+        throw new Error('must be "on" or "off"');
+      }
+      raw.defaults.recording = value === 'on';
+    }
+  },
+  {
+    name: 'ADAPTIVE_QUALITY',
+    setting: 'defaults.adaptive',
+    apply: (raw, value) => {
+      if (!['on', 'off'].includes(value)) {
+        throw new Error('must be "on" or "off"');
+      }
+      raw.defaults.adaptive = value === 'on';
+    }
+  }
+];
+
+// SOURCE_URL, WEB_PAGE_URL or PLAYLIST define the default stream, replacing
+// the file's definition of it
+function defaultStreamFromEnv(env) {
+  if (env.PLAYLIST) {
+    try {
+      return { name: 'PLAYLIST', definition: { id: DEFAULT_STREAM_ID, playlist: JSON.parse(env.PLAYLIST) } };
+    } catch (error) {
+      throw new Error(`Invalid PLAYLIST: ${error.message}`);
+    }
+  }
+  if (env.WEB_PAGE_URL || env.SOURCE_URL) {
+    return {
+      name: env.WEB_PAGE_URL ? 'WEB_PAGE_URL' : 'SOURCE_URL',
+      definition: { id: DEFAULT_STREAM_ID, url: env.SOURCE_URL || null, webPageUrl: env.WEB_PAGE_URL || null }
+    };
+  }
+  return null;
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Read the file (if any), apply the env overrides and validate the result.
+// Returns the effective configuration:
+// - raw: the merged settings as written (GET /config shows them, redacted)
+// - defaults: the stream defaults used by buildStreamConfig
+// - browser: options for the next browser launch
+// - streams: definitions of the streams to start at boot
+// Throws an Error with a user-facing message.
+function loadConfig(env = process.env) {
+  const file = CONFIG_FILE ? path.resolve(CONFIG_FILE) : null;
+  const fromFile = file ? readConfigFile(file) : {};
+  if (typeOf(fromFile) !== 'object') {
+    throw new Error(`${file}: must be a JSON object`);
+  }
+
+  for (const key of Object.keys(fromFile)) {
+    if (!SCHEMA.fields[key]) {
+      throw new Error(`${path.basename(file)}: ${key}: unknown setting (expected one of: ${Object.keys(SCHEMA.fields).join(', ')})`);
+    }
+    if (key !== 'streams' && typeOf(fromFile[key]) !== 'object') {
+      throw new Error(`${path.basename(file)}: ${key}: must be an object`);
+    }
+  }
+
+  const raw = {
+    defaults: { ...fromFile.defaults },
+    browser: { ...fromFile.browser },
+    streams: fromFile.streams !== undefined ? fromFile.streams : []
+  };
+  const overrides = [];
+  for (const override of ENV_OVERRIDES) {
+    const value = env[override.name];
+    if (value === undefined || value === '') continue;
+    try {
+      override.apply(raw, value, env);
+    } catch (error) {
+      throw new Error(`Invalid ${override.name}: ${error.message}`);
+    }
+    overrides.push(override);
+  }
+  const envStream = defaultStreamFromEnv(env);
+  if (envStream && Array.isArray(raw.streams)) {
+    raw.streams = [envStream.definition, ...raw.streams.filter(stream => (stream && stream.id) !== DEFAULT_STREAM_ID)];
+    overrides.push({ name: envStream.name, setting: 'streams[0]' });
+  }
+
+  try {
+    return buildConfig(file, raw, overrides);
+  } catch (error) {
+    // Name the env var when the faulty setting came from one, the file otherwise
+    const override = overrides.find(candidate => error.message.startsWith(`${candidate.setting}`));
+    if (override) {
+      throw new Error(`Invalid ${override.name}: ${error.message}`);
+    }
+    throw new Error(file ? `${path.basename(file)}: ${error.message}` : error.message);
+  }
+}
+
+function buildConfig(file, raw, overrides) {
+  const parsed = validate(raw, SCHEMA, '');
+
+  const settings = parsed.defaults;
+  if (!settings.destinations || settings.destinations.length === 0) {
+    throw new Error('No destination: set RTMPS_URL or "defaults.destinations" in the config file');
+  }
+  const defaults = {
+    id: DEFAULT_STREAM_ID,
+    playButtonSelector: settings.playButtonSelector || DEFAULT_PLAY_BUTTON_SELECTOR,
+    destinations: settings.destinations,
+    encoding: { preset: 'low', ...settings.encoding },
+    steps: settings.steps || null, // null: wait for the page, then the play-button heuristics
+    overlays: settings.overlays || [],
+    slate: settings.slate || null, // null: no slate, the stream stops after too many failed restarts
+    recording: settings.recording || null, // null: streams record only when asked to
+    capture: settings.capture || 'screencast', // How web pages are captured (see lib/xvfb.js)
+    adaptive: settings.adaptive || false // Adaptive quality (see lib/adaptive.js)
+  };
+  parseRecording(true); // Checks the RECORDING_* settings even when nothing records by default
+
+  // Stream definitions are checked like POST /streams would
+  const ids = new Set();
+  raw.streams.forEach((definition, index) => {
+    const where = `streams[${index}]`;
+    if (typeOf(definition) !== 'object') {
+      throw new Error(`${where}: must be an object`);
+    }
+    const id = definition.id || DEFAULT_STREAM_ID;
+    if (ids.has(id)) {
+      throw new Error(`${where}: stream id "${id}" is used twice`);
+    }
+    ids.add(id);
+    try {
+      buildStreamConfig(definition, defaults);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  });
+
+  return {
+    file,
+    overrides: overrides.map(override => override.name),
+    raw,
+    defaults,
+    browser: parsed.browser,
+    streams: raw.streams.map(definition => ({ ...definition, id: definition.id || DEFAULT_STREAM_ID }))
+  };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  loadConfig
+};
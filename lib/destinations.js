@@ -0,0 +1,269 @@
+const { spawn } = require('child_process');
+const { ffmpegPath } = require('./ffmpeg');
+const { Supervisor } = require('./supervisor');
+const { emitEvent } = require('./events');
+const { registerUrl, redactUrl } = require('./redact');
+const { parseOutput, outputArgs, isTlsFailure } = require('./outputs');
+
+// Each destination gets its own lightweight FFmpeg "relay" that remuxes the
+// encoded MPEG-TS stream without re-encoding, into the muxer of its protocol
+// (FLV for RTMP, SRT, HLS/DASH push - see lib/outputs.js). The stream is
+// encoded once and fanned out in Node, so a dead ingest only takes its own
+// relay down and can be retried without touching the encoder or the other
+// destinations.
+const RELAY_LIVE_AFTER_MS = 5000; // Relay considered live after running this long
+const RELAY_MAX_RETRIES = parseInt(process.env.DESTINATION_MAX_RETRIES) || 10;
+const MAX_RELAY_BUFFER = 4 * 1024 * 1024; // Bytes queued per relay before dropping
+const MAX_STDERR_LINES = 20;
+
+// Accepts a comma/whitespace separated string, an array of URLs, or an array of
+// { url, name, ...protocol options } objects. Throws on a URL no output
+// protocol handles or on invalid options.
+function parseDestinations(input) {
+  let entries = input;
+  if (typeof entries === 'string') {
+    entries = entries.split(/[\s,]+/).filter(Boolean);
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('At least one destination is required');
+  }
+
+  return entries.map((entry, index) => {
+    const raw = typeof entry === 'string' ? { url: entry } : entry || {};
+    if (typeof raw.url !== 'string') {
+      throw new Error(`Destination ${index + 1} needs a url`);
+    }
+    registerUrl(raw.url); // Keep the stream key out of logs and responses
+    const dest = {
+      id: `dest${index + 1}`,
+      name: raw.name || `dest${index + 1}`,
+      url: raw.url
+    };
+    try {
+      return parseOutput(dest, raw);
+    } catch (error) {
+      throw new Error(`Destination ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+class Destination {
+  constructor(dest, streamId = null) {
+    const { id, name, url } = dest;
+    this.id = id;
+    this.name = name;
+    this.url = url;
+    this.dest = dest;
+    this.protocol = dest.protocol;
+    this.activeUrl = url; // The RTMP fallback once the RTMPS handshake failed
+    this.usingFallback = false;
+    this.streamId = streamId;
+    this.label = streamId ? `${streamId}/${name}` : name; // Log prefix
+    this.process = null;
+    this.state = 'idle';
+    this.running = false;
+    this.supervisor = null;
+    this.lastError = null;
+    this.stderrLines = [];
+    this.bytesSent = 0;
+    this.bytesDropped = 0;
+    this.startedAt = null;
+    this.liveTimer = null;
+  }
+
+  start() {
+    this.running = true;
+    this.supervisor = new Supervisor({
+      name: this.label,
+      restart: () => this.spawnRelay(),
+      giveUp: () => {
+        this.state = 'failed';
+      },
+      onRetry: (attempt, delayMs, reason) => emitEvent('reconnect.attempt', this.streamId, {
+        target: 'destination',
+        destination: this.name,
+        attempt,
+        delayMs,
+        reason
+      }),
+      policy: { maxAttempts: RELAY_MAX_RETRIES }
+    });
+    this.spawnRelay();
+  }
+
+  spawnRelay() {
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'warning',
+      '-fflags', '+genpts',
+      '-f', 'mpegts',
+      '-i', 'pipe:0',
+      '-c', 'copy',
+      ...outputArgs(this.dest, this.activeUrl) // Muxer, protocol options and URL
+    ];
+
+    console.log(`[${this.label}] Starting ${this.usingFallback ? 'rtmp (fallback)' : this.protocol} relay`);
+    this.state = 'connecting';
+    this.startedAt = Date.now();
+    this.stderrLines = [];
+
+    const relay = spawn(ffmpegPath, args);
+    this.process = relay;
+    let runError = null;
+    let tlsFailed = false;
+
+    relay.stdin.on('error', (error) => {
+      // EPIPE is expected when the relay closes, so we ignore it
+      if (error.code !== 'EPIPE') {
+        console.error(`[${this.label}] Relay stdin error:`, error.message);
+      }
+    });
+
+    relay.stderr.on('data', (data) => {
+      const lines = data.toString().split('\n').map(l => l.trim()).filter(Boolean);
+      for (const line of lines) {
+        this.stderrLines.push(line);
+        if (this.state === 'connecting' && isTlsFailure(line)) {
+          tlsFailed = true;
+        }
+        if (/error|failed/i.test(line)) {
+          runError = line;
+          this.lastError = line;
+          console.error(`[${this.label}] FFmpeg relay: ${line}`);
+        }
+      }
+      if (this.stderrLines.length > MAX_STDERR_LINES) {
+        this.stderrLines.splice(0, this.stderrLines.length - MAX_STDERR_LINES);
+      }
+    });
+
+    relay.on('error', (error) => {
+      console.error(`[${this.label}] Relay process error:`, error.message);
+      this.lastError = error.message;
+    });
+
+    relay.on('exit', (code, signal) => {
+      clearTimeout(this.liveTimer);
+      this.liveTimer = null;
+      if (this.process !== relay) return;
+      this.process = null;
+      emitEvent('ffmpeg.exit', this.streamId, {
+        process: 'relay',
+        destination: this.name,
+        code,
+        signal,
+        expected: !this.running
+      });
+
+      if (!this.running) {
+        this.state = 'stopped';
+        return;
+      }
+
+      console.warn(`[${this.label}] Relay exited with code ${code}, signal ${signal}`);
+      this.lastError = runError || `Relay exited with code ${code}`;
+      if (tlsFailed && this.dest.fallbackUrl && !this.usingFallback) {
+        // Stay on plain RTMP for the rest of this stream
+        console.warn(`[${this.label}] RTMPS handshake failed, falling back to ${redactUrl(this.dest.fallbackUrl)}`);
+        this.activeUrl = this.dest.fallbackUrl;
+        this.usingFallback = true;
+      }
+      this.state = 'retrying';
+      this.supervisor.failed(this.lastError);
+    });
+
+    this.liveTimer = setTimeout(() => {
+      if (this.process === relay) {
+        this.state = 'live';
+        console.log(`[${this.label}] Destination live`);
+      }
+    }, RELAY_LIVE_AFTER_MS);
+  }
+
+  write(chunk) {
+    const stdin = this.process && this.process.stdin;
+    if (!stdin || stdin.destroyed) {
+      return;
+    }
+    // Never let a slow ingest grow memory - drop data for this relay only.
+    // Chunks are whole MPEG-TS packets, so no packet is ever split.
+    if (stdin.writableLength > MAX_RELAY_BUFFER) {
+      this.bytesDropped += chunk.length;
+      return;
+    }
+    stdin.write(chunk);
+    this.bytesSent += chunk.length;
+  }
+
+  stop() {
+    this.running = false;
+    if (this.supervisor) {
+      this.supervisor.stop();
+    }
+    clearTimeout(this.liveTimer);
+    this.liveTimer = null;
+    if (this.process) {
+      const relay = this.process;
+      this.process = null;
+      relay.stdin.end();
+      relay.kill('SIGTERM');
+    }
+    this.state = 'stopped';
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      name: this.name,
+      url: redactUrl(this.activeUrl),
+      protocol: this.usingFallback ? 'rtmp' : this.protocol,
+      fallback: this.usingFallback,
+      state: this.state,
+      attempts: this.supervisor ? this.supervisor.attempts : 0,
+      restarts: this.supervisor ? this.supervisor.restarts : 0,
+      lastError: this.lastError,
+      bytesSent: this.bytesSent,
+      bytesDropped: this.bytesDropped,
+      uptime: this.process && this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0
+    };
+  }
+}
+
+// Fans the encoder's MPEG-TS output out to every destination relay
+class DestinationSet {
+  constructor(destinations, streamId = null) {
+    this.destinations = destinations.map(dest => new Destination(dest, streamId));
+    this.startedAt = null;
+  }
+
+  start() {
+    this.startedAt = Date.now();
+    this.destinations.forEach(dest => dest.start());
+  }
+
+  // Seconds since the relays started. A respawned encoder offsets its output
+  // timestamps by this so the relays keep seeing monotonic timestamps.
+  get elapsedSeconds() {
+    return this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0;
+  }
+
+  write(chunk) {
+    for (const dest of this.destinations) {
+      dest.write(chunk);
+    }
+  }
+
+  stop() {
+    this.destinations.forEach(dest => dest.stop());
+  }
+
+  getStatus() {
+    return this.destinations.map(dest => dest.getStatus());
+  }
+}
+
+module.exports = {
+  parseDestinations,
+  Destination,
+  DestinationSet
+};
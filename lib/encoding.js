@@ -0,0 +1,224 @@
+// Encoding profiles: named presets plus per-stream overrides.
+// Bitrates are in kbit/s, keyframeInterval in seconds. A height of null keeps
+// the source aspect ratio (FFmpeg `-2`).
+const PRESETS = {
+  low: {
+    video: true,
+    width: 640,
+    height: null,
+    fps: 3,
+    videoBitrate: 500,
+    keyframeInterval: 3,
+    x264Preset: 'ultrafast',
+    x264Profile: 'baseline',
+    audioRate: 22050,
+    audioBitrate: 64
+  },
+  sd: {
+    video: true,
+    width: 854,
+    height: 480,
+    fps: 15,
+    videoBitrate: 1200,
+    keyframeInterval: 2,
+    x264Preset: 'veryfast',
+    x264Profile: 'main',
+    audioRate: 44100,
+    audioBitrate: 96
+  },
+  hd: {
+    video: true,
+    width: 1280,
+    height: 720,
+    fps: 30,
+    videoBitrate: 2500,
+    keyframeInterval: 2,
+    x264Preset: 'veryfast',
+    x264Profile: 'main',
+    audioRate: 44100,
+    audioBitrate: 128
+  },
+  'audio-only': {
+    video: false,
+    audioRate: 44100,
+    audioBitrate: 128
+  }
+};
+
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium'];
+const X264_PROFILES = ['baseline', 'main', 'high'];
+const AUDIO_RATES = [22050, 32000, 44100, 48000];
+const VIDEO_FIELDS = ['resolution', 'width', 'height', 'fps', 'videoBitrate', 'keyframeInterval', 'x264Preset', 'x264Profile'];
+
+// Accepts 2500, "2500" or "2500k" and returns kbit/s
+function parseBitrate(value, name) {
+  const match = /^(\d+)k?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`${name} must be a bitrate such as "2500k"`);
+  }
+  return parseInt(match[1]);
+}
+
+function checkRange(value, name, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  }
+}
+
+// Build the effective settings from a preset name and overrides, rejecting
+// values FFmpeg or the ingests would not accept and combinations that would
+// overload the encoder.
+function resolveEncoding(overrides = {}, defaults = {}) {
+  const presetName = overrides.preset || defaults.preset || 'low';
+  if (!PRESETS[presetName]) {
+    throw new Error(`Unknown encoding preset "${presetName}" (expected one of: ${Object.keys(PRESETS).join(', ')})`);
+  }
+
+  const preset = PRESETS[presetName];
+  const settings = { preset: presetName, ...preset };
+
+  // Env defaults (e.g. FPS) only apply to the preset they were written for
+  if (presetName === (defaults.preset || 'low') && defaults.fps !== undefined && preset.video) {
+    settings.fps = defaults.fps;
+  }
+
+  if (!preset.video) {
+    const videoOverrides = VIDEO_FIELDS.filter(field => overrides[field] !== undefined);
+    if (videoOverrides.length > 0) {
+      throw new Error(`Preset "${presetName}" has no video, cannot set: ${videoOverrides.join(', ')}`);
+    }
+  }
+
+  if (overrides.resolution !== undefined) {
+    const match = /^(\d+)x(\d+)$/i.exec(String(overrides.resolution));
+    if (!match) {
+      throw new Error('resolution must look like "1280x720"');
+    }
+    settings.width = parseInt(match[1]);
+    settings.height = parseInt(match[2]);
+  }
+  if (overrides.width !== undefined) {
+    settings.width = Number(overrides.width);
+    if (overrides.height === undefined && overrides.resolution === undefined) {
+      settings.height = null;
+    }
+  }
+  if (overrides.height !== undefined) settings.height = Number(overrides.height);
+  if (overrides.fps !== undefined) settings.fps = Number(overrides.fps);
+  if (overrides.keyframeInterval !== undefined) settings.keyframeInterval = Number(overrides.keyframeInterval);
+  if (overrides.videoBitrate !== undefined) settings.videoBitrate = parseBitrate(overrides.videoBitrate, 'videoBitrate');
+  if (overrides.x264Preset !== undefined) settings.x264Preset = overrides.x264Preset;
+  if (overrides.x264Profile !== undefined) settings.x264Profile = overrides.x264Profile;
+  if (overrides.audioRate !== undefined) settings.audioRate = Number(overrides.audioRate);
+  if (overrides.audioBitrate !== undefined) settings.audioBitrate = parseBitrate(overrides.audioBitrate, 'audioBitrate');
+
+  if (!AUDIO_RATES.includes(settings.audioRate)) {
+    throw new Error(`audioRate must be one of: ${AUDIO_RATES.join(', ')}`);
+  }
+  checkRange(settings.audioBitrate, 'audioBitrate', 32, 320);
+
+  if (settings.video) {
+    checkRange(settings.width, 'width', 160, 1920);
+    if (settings.width % 2 !== 0) {
+      throw new Error('width must be an even number');
+    }
+    if (settings.height !== null) {
+      checkRange(settings.height, 'height', 90, 1080);
+      if (settings.height % 2 !== 0) {
+        throw new Error('height must be an even number');
+      }
+    }
+    checkRange(settings.fps, 'fps', 1, 30);
+    checkRange(settings.keyframeInterval, 'keyframeInterval', 1, 10);
+    checkRange(settings.videoBitrate, 'videoBitrate', 100, 6000);
+    if (!X264_PRESETS.includes(settings.x264Preset)) {
+      throw new Error(`x264Preset must be one of: ${X264_PRESETS.join(', ')}`);
+    }
+    if (!X264_PROFILES.includes(settings.x264Profile)) {
+      throw new Error(`x264Profile must be one of: ${X264_PROFILES.join(', ')}`);
+    }
+
+    // Combinations that would starve the picture or the CPU
+    const pixelsPerSecond = settings.width * outputHeight(settings) * settings.fps;
+    const bitsPerPixel = settings.videoBitrate * 1000 / pixelsPerSecond;
+    if (bitsPerPixel < 0.02) {
+      throw new Error(`videoBitrate ${settings.videoBitrate}k is too low for ${settings.width}x${outputHeight(settings)} at ${settings.fps} fps`);
+    }
+    if (X264_PRESETS.indexOf(settings.x264Preset) > X264_PRESETS.indexOf('veryfast') && settings.width > 854) {
+      throw new Error(`x264Preset "${settings.x264Preset}" is too slow for real-time encoding above 854px wide`);
+    }
+  }
+
+  return settings;
+}
+
+// Height used for level/bitrate checks when the aspect ratio is kept (16:9 viewport)
+function outputHeight(settings) {
+  return settings.height || Math.round(settings.width * 9 / 16 / 2) * 2;
+}
+
+// Smallest H.264 level that fits the frame size and rate
+function h264Level(settings) {
+  const macroblocksPerSecond = Math.ceil(settings.width / 16) * Math.ceil(outputHeight(settings) / 16) * settings.fps;
+  if (macroblocksPerSecond <= 40500) return '3.0';
+  if (macroblocksPerSecond <= 108000) return '3.1';
+  if (macroblocksPerSecond <= 245760) return '4.0';
+  return '4.2';
+}
+
+function scaleFilter(settings, flags) {
+  const size = `scale=${settings.width}:${settings.height || -2}`;
+  return flags ? `${size}:flags=${flags}` : size;
+}
+
+function videoEncodeArgs(settings) {
+  if (!settings.video) {
+    return ['-vn'];
+  }
+  const gop = settings.fps * settings.keyframeInterval;
+  return [
+    '-c:v', 'libx264',
+    '-preset', settings.x264Preset,
+    '-tune', 'zerolatency',
+    '-profile:v', settings.x264Profile,
+    '-level', h264Level(settings),
+    '-pix_fmt', 'yuv420p',
+    '-g', gop.toString(), // Keyframe every keyframeInterval seconds
+    '-keyint_min', gop.toString(),
+    '-sc_threshold', '0', // No extra keyframes on scene changes
+    '-b:v', `${settings.videoBitrate}k`,
+    '-maxrate', `${settings.videoBitrate}k`,
+    '-bufsize', `${settings.videoBitrate * 2}k`,
+    '-r', settings.fps.toString()
+  ];
+}
+
+function audioEncodeArgs(settings) {
+  return [
+    '-c:a', 'aac',
+    '-b:a', `${settings.audioBitrate}k`,
+    '-ar', settings.audioRate.toString(),
+    '-ac', '2'
+  ];
+}
+
+// Page.startScreencast parameters matching the output size and rate
+function screencastOptions(settings) {
+  return {
+    format: 'jpeg',
+    quality: 80,
+    maxWidth: settings.width,
+    maxHeight: outputHeight(settings),
+    everyNthFrame: Math.max(1, Math.floor(30 / settings.fps)) // Adjust based on FPS
+  };
+}
+
+module.exports = {
+  PRESETS,
+  resolveEncoding,
+  outputHeight,
+  scaleFilter,
+  videoEncodeArgs,
+  audioEncodeArgs,
+  screencastOptions
+};
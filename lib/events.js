@@ -0,0 +1,65 @@
+const { EventEmitter } = require('events');
+
+// Stream lifecycle events, emitted from the existing handlers and delivered
+// to the webhooks (lib/webhooks.js) and the /events stream. Every event is
+// { id, type, at, stream, data }; `id` grows by one per event in this process.
+const EVENT_TYPES = [
+  'stream.started', // data: { type, source, destinations }
+  'stream.stopped', // data: { error } - null for a requested stop
+  'stream.error', // data: { reason, fatal } - fatal when the stream stops because of it
+  'ffmpeg.exit', // data: { process: 'encoder' | 'relay', destination?, code, signal, expected }
+  'page.play_clicked', // data: { step, strategy } - strategy: selector, text or body
+  'frames.dropped', // data: { dropped, total } - at most once per FRAME_DROP_INTERVAL_MS
+  'reconnect.attempt', // data: { target: 'pipeline' | 'destination', destination?, attempt, delayMs, reason }
+  'quality.changed', // data: { from, to, direction: 'down' | 'up', encoding, reasons } - adaptive quality level
+  'resource.recycled' // data: { target: 'browser' | 'encoder', reason, ok, error } - resource guard
+];
+const MAX_RECENT = 100; // Kept for clients resuming with Last-Event-ID
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // One listener per /events client
+const recent = [];
+let lastId = 0;
+
+function emitEvent(type, stream, data = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type "${type}"`);
+  }
+  const event = { id: ++lastId, type, at: new Date().toISOString(), stream, data };
+  recent.push(event);
+  if (recent.length > MAX_RECENT) {
+    recent.shift();
+  }
+  bus.emit('event', event);
+  return event;
+}
+
+// Returns a function that removes the listener
+function onEvent(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+// Events emitted after `id`, oldest first
+function eventsSince(id) {
+  return recent.filter(event => event.id > id);
+}
+
+// Validate a comma separated list of event types (query string or env).
+// Empty means every type. Throws an Error with a user-facing message.
+function parseEventTypes(value) {
+  const types = (value || '').split(/[\s,]+/).filter(Boolean);
+  const unknown = types.filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event type(s): ${unknown.join(', ')} (expected: ${EVENT_TYPES.join(', ')})`);
+  }
+  return types;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  emitEvent,
+  onEvent,
+  eventsSince,
+  parseEventTypes
+};
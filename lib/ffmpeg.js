@@ -0,0 +1,26 @@
+const { execSync } = require('child_process');
+
+// Try to use system FFmpeg first (if available via nixpacks), fallback to ffmpeg-static
+let ffmpegPath;
+try {
+  // Check if system FFmpeg is available (from nixpacks)
+  execSync('which ffmpeg', { stdio: 'ignore' });
+  ffmpegPath = 'ffmpeg'; // Use system FFmpeg
+  console.log('Using system FFmpeg (from nixpacks)');
+} catch (e) {
+  // System FFmpeg not available, use ffmpeg-static
+  ffmpegPath = require('ffmpeg-static');
+  console.log('Using ffmpeg-static (fallback)');
+}
+
+// ffprobe comes with the system FFmpeg, ffmpeg-static does not ship it
+// (null: source probes parse `ffmpeg -i` instead, see lib/probe.js)
+let ffprobePath = null;
+try {
+  execSync('which ffprobe', { stdio: 'ignore' });
+  ffprobePath = 'ffprobe';
+} catch (e) {
+  console.log('ffprobe not found, source probes will use FFmpeg');
+}
+
+module.exports = { ffmpegPath, ffprobePath };
@@ -0,0 +1,281 @@
+const { listBrowsers, retireBrowser } = require('./browser');
+const { listStreams } = require('./registry');
+const { readProcessTable, treeUsage, readContainerMemory, CpuMeter } = require('./usage');
+
+// Resource guard: samples the memory and CPU of Node, of every Chromium
+// (the headless ones and the x11grab ones, with all their child processes)
+// and of every stream's FFmpeg encoder. Past a limit, the offender is
+// recycled before the container gets OOM-killed:
+// - Chromium: a headless browser is retired, each stream using it moves to a
+//   fresh page in a fresh browser and replays its steps (play click...); an
+//   x11grab browser is replaced by a new one on the same display
+// - FFmpeg: the encoder is respawned
+// Either way the destinations stay connected. The limits are off by default,
+// the readings and the recycle history are in /status ("resources").
+const RESOURCE_CHECK_INTERVAL_MS = 10000;
+const RESOURCE_CHROMIUM_MAX_MB = parseInt(process.env.RESOURCE_CHROMIUM_MAX_MB) || 0; // Per browser, 0 = no limit
+const RESOURCE_CHROMIUM_CPU_MAX = parseInt(process.env.RESOURCE_CHROMIUM_CPU_MAX) || 0; // % of the machine, 0 = no limit
+const RESOURCE_FFMPEG_MAX_MB = parseInt(process.env.RESOURCE_FFMPEG_MAX_MB) || 0; // Per encoder, 0 = no limit
+const MEMORY_CHECKS = 2; // Consecutive checks over the memory limit (ignore a spike)
+const CPU_CHECKS = 6; // Consecutive checks over the CPU limit (a minute)
+const RECYCLE_COOLDOWN_MS = 5 * 60 * 1000; // Between two recycles of the same browser or encoder
+const MAX_HISTORY = 20;
+const MB = 1024 * 1024;
+
+class ResourceGuard {
+  constructor() {
+    this.timer = null;
+    this.meters = new Map(); // Reading key -> CpuMeter
+    this.counters = new Map(); // Target key -> consecutive checks over a limit { memory, cpu }
+    this.recycledAt = new Map(); // Target key -> time of its last recycle
+    this.busy = false; // One recycle at a time
+    this.readings = null;
+    this.history = []; // Last recycles, newest last
+    this.recycles = 0;
+  }
+
+  start() {
+    const limits = [
+      RESOURCE_CHROMIUM_MAX_MB && `Chromium over ${RESOURCE_CHROMIUM_MAX_MB} MB`,
+      RESOURCE_CHROMIUM_CPU_MAX && `Chromium over ${RESOURCE_CHROMIUM_CPU_MAX}% CPU`,
+      RESOURCE_FFMPEG_MAX_MB && `FFmpeg over ${RESOURCE_FFMPEG_MAX_MB} MB`
+    ].filter(Boolean);
+    console.log(`Resource guard: ${limits.length > 0 ? `recycling ${limits.join(', ')}` : 'sampling only (no RESOURCE_* limit set)'}`);
+    this.timer = setInterval(() => this.check(), RESOURCE_CHECK_INTERVAL_MS);
+    this.check();
+  }
+
+  cpuPercent(key, pid, usage) {
+    if (!this.meters.has(key)) {
+      this.meters.set(key, new CpuMeter());
+    }
+    return this.meters.get(key).sample(pid, usage);
+  }
+
+  // Readings for /status, and the targets that can be recycled
+  measure() {
+    const table = readProcessTable();
+    const streams = listStreams().filter(stream => stream.status.active);
+    const targets = [];
+    const memory = process.memoryUsage();
+    const total = treeUsage(table, process.pid);
+
+    const readings = {
+      at: new Date().toISOString(),
+      container: readContainerMemory(),
+      // Node and every process it started (Chromium, FFmpeg, relays...)
+      total: total ? {
+        processes: total.processes,
+        rssBytes: total.rssBytes,
+        cpuPercent: this.cpuPercent('total', process.pid, total)
+      } : null,
+      node: {
+        pid: process.pid,
+        rssBytes: memory.rss,
+        heapUsedBytes: memory.heapUsed,
+        cpuPercent: this.cpuPercent('node', process.pid, table.get(process.pid) || null)
+      },
+      chromium: [],
+      ffmpeg: []
+    };
+
+    for (const entry of listBrowsers()) {
+      const usage = treeUsage(table, entry.pid);
+      const users = streams.filter(stream => stream.usesBrowser(entry.browser));
+      const reading = {
+        browser: entry.kind,
+        pid: entry.pid,
+        processes: usage ? usage.processes : 0,
+        rssBytes: usage ? usage.rssBytes : null,
+        cpuPercent: usage ? this.cpuPercent(`chromium:${entry.pid}`, entry.pid, usage) : null,
+        pages: entry.pages,
+        streams: users.map(stream => stream.id)
+      };
+      readings.chromium.push(reading);
+
+      // A retired browser is already on its way out
+      if (entry.kind === 'shared' || entry.kind === 'sink') {
+        targets.push({
+          key: `chromium:${entry.sink || 'shared'}`,
+          target: 'browser',
+          label: entry.sink ? `Browser of sink ${entry.sink}` : 'Shared browser',
+          reading,
+          maxMb: RESOURCE_CHROMIUM_MAX_MB,
+          cpuMax: RESOURCE_CHROMIUM_CPU_MAX,
+          streams: users,
+          recycle: async (reason) => {
+            await retireBrowser(entry.sink);
+            const errors = [];
+            // One stream after the other - they all open a page in the new browser
+            for (const stream of users) {
+              try {
+                await stream.recyclePage(reason);
+              } catch (error) {
+                errors.push(`${stream.id}: ${error.message}`);
+              }
+            }
+            if (errors.length > 0) {
+              throw new Error(errors.join('; '));
+            }
+          }
+        });
+      } else if (entry.kind === 'display' && users.length === 1) {
+        const [stream] = users;
+        targets.push({
+          key: `chromium:${stream.id}`,
+          target: 'browser',
+          label: `[${stream.id}] x11grab browser`,
+          reading,
+          maxMb: RESOURCE_CHROMIUM_MAX_MB,
+          cpuMax: RESOURCE_CHROMIUM_CPU_MAX,
+          streams: users,
+          recycle: (reason) => stream.recyclePage(reason)
+        });
+      }
+    }
+
+    for (const stream of streams) {
+      const encoder = stream.currentStream || stream.captureProcess;
+      const usage = encoder && table.get(encoder.pid);
+      if (!usage) continue;
+      const reading = {
+        stream: stream.id,
+        pid: encoder.pid,
+        rssBytes: usage.rssBytes,
+        cpuPercent: this.cpuPercent(`ffmpeg:${stream.id}`, encoder.pid, usage)
+      };
+      readings.ffmpeg.push(reading);
+      targets.push({
+        key: `ffmpeg:${stream.id}`,
+        target: 'encoder',
+        label: `[${stream.id}] FFmpeg encoder`,
+        reading,
+        maxMb: RESOURCE_FFMPEG_MAX_MB,
+        cpuMax: 0, // A busy encoder is the adaptive quality's business
+        streams: [stream],
+        recycle: () => stream.restartEncoder()
+      });
+    }
+
+    // Forget what is gone
+    const keys = new Set(targets.map(target => target.key));
+    for (const key of this.counters.keys()) {
+      if (!keys.has(key)) this.counters.delete(key);
+    }
+    const meterKeys = new Set(['total', 'node', ...readings.chromium.map(reading => `chromium:${reading.pid}`), ...readings.ffmpeg.map(reading => `ffmpeg:${reading.stream}`)]);
+    for (const key of this.meters.keys()) {
+      if (!meterKeys.has(key)) this.meters.delete(key);
+    }
+
+    return { readings, targets };
+  }
+
+  // Why a target must be recycled, null while it is within its limits.
+  // Counts the consecutive checks over each limit.
+  overLimit(target) {
+    const { rssBytes, cpuPercent } = target.reading;
+    const counter = this.counters.get(target.key) || { memory: 0, cpu: 0 };
+    counter.memory = target.maxMb && rssBytes > target.maxMb * MB ? counter.memory + 1 : 0;
+    counter.cpu = target.cpuMax && cpuPercent !== null && cpuPercent > target.cpuMax ? counter.cpu + 1 : 0;
+    this.counters.set(target.key, counter);
+
+    if (Date.now() - (this.recycledAt.get(target.key) || 0) < RECYCLE_COOLDOWN_MS) {
+      return null;
+    }
+    if (counter.memory >= MEMORY_CHECKS) {
+      return `memory ${Math.round(rssBytes / MB)} MB over ${target.maxMb} MB`;
+    }
+    if (counter.cpu >= CPU_CHECKS) {
+      return `CPU ${cpuPercent}% over ${target.cpuMax}% for ${CPU_CHECKS * RESOURCE_CHECK_INTERVAL_MS / 1000}s`;
+    }
+    return null;
+  }
+
+  async check() {
+    let measured;
+    try {
+      measured = this.measure();
+    } catch (error) {
+      console.error('Resource guard: sampling failed:', error.message);
+      return;
+    }
+    this.readings = measured.readings;
+
+    const due = measured.targets
+      .map(target => ({ target, reason: this.overLimit(target) }))
+      .filter(entry => entry.reason);
+    // The next checks pick up whatever else is over its limit
+    if (this.busy || due.length === 0) return;
+    const { target, reason } = due[0];
+    this.busy = true;
+    try {
+      await this.recycle(target, reason);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async recycle(target, reason) {
+    const record = {
+      at: new Date().toISOString(),
+      target: target.target,
+      browser: target.target === 'browser' ? target.reading.browser : undefined,
+      streams: target.streams.map(stream => stream.id),
+      reason,
+      ok: false,
+      error: null,
+      durationMs: 0
+    };
+    const startedAt = Date.now();
+    console.warn(`Resource guard: ${target.label} ${reason}, recycling...`);
+
+    try {
+      await target.recycle(reason);
+      record.ok = true;
+      console.log(`Resource guard: ${target.label} recycled in ${Date.now() - startedAt}ms`);
+    } catch (error) {
+      record.error = error.message;
+      console.error(`Resource guard: recycling the ${target.label} failed: ${error.message}`);
+    }
+    record.durationMs = Date.now() - startedAt;
+
+    this.recycledAt.set(target.key, Date.now());
+    this.counters.delete(target.key);
+    this.recycles++;
+    this.history.push(record);
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+    for (const stream of target.streams) {
+      stream.emit('resource.recycled', { target: record.target, reason, ok: record.ok, error: record.error });
+    }
+  }
+
+  getStatus() {
+    return {
+      limits: {
+        chromiumMaxMb: RESOURCE_CHROMIUM_MAX_MB || null,
+        chromiumCpuMax: RESOURCE_CHROMIUM_CPU_MAX || null,
+        ffmpegMaxMb: RESOURCE_FFMPEG_MAX_MB || null
+      },
+      ...(this.readings || {}),
+      recycles: this.recycles,
+      history: this.history
+    };
+  }
+}
+
+const guard = new ResourceGuard();
+
+function startResourceGuard() {
+  guard.start();
+}
+
+function getResourceStatus() {
+  return guard.getStatus();
+}
+
+module.exports = {
+  startResourceGuard,
+  getResourceStatus
+};
@@ -0,0 +1,195 @@
+// Structured encoder metrics from FFmpeg's `-progress` output.
+// The encoder is spawned with `-progress pipe:3 -nostats`, so fd 3 carries
+// key=value blocks terminated by `progress=continue|end`, and stderr only
+// carries log messages (of which we keep a bounded tail).
+const ENCODER_PROGRESS_ARGS = ['-progress', 'pipe:3', '-nostats'];
+const ENCODER_STDIO = ['pipe', 'pipe', 'pipe', 'pipe'];
+const MAX_STDERR_LINES = 50;
+
+// "1234.5kbits/s" -> 1234.5, "1.01x" -> 1.01, "N/A" -> null
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+class EncoderMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.progress = null;
+    this.encoderStartedAt = null;
+    this.stderrLines = [];
+    this.lastError = null;
+    this.encoderStarts = 0;
+  }
+
+  // Start reading progress and stderr from a freshly spawned encoder
+  attach(encoder) {
+    this.progress = null;
+    this.stderrLines = [];
+    this.lastError = null;
+    this.encoderStartedAt = Date.now();
+    this.encoderStarts++;
+
+    let pending = '';
+    let block = {};
+    const progressPipe = encoder.stdio[3];
+    if (progressPipe) {
+      progressPipe.on('data', (data) => {
+        pending += data.toString();
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+          const separator = line.indexOf('=');
+          if (separator === -1) continue;
+          const key = line.slice(0, separator).trim();
+          const value = line.slice(separator + 1).trim();
+          block[key] = value;
+          if (key === 'progress') {
+            this.update(block);
+            block = {};
+          }
+        }
+      });
+      progressPipe.on('error', () => {
+        // Closed with the encoder
+      });
+    }
+
+    encoder.stderr.on('data', (data) => {
+      const lines = data.toString().split('\n').map(l => l.trim()).filter(Boolean);
+      for (const line of lines) {
+        this.stderrLines.push(line);
+        if (/error|failed/i.test(line)) {
+          this.lastError = line;
+        }
+      }
+      if (this.stderrLines.length > MAX_STDERR_LINES) {
+        this.stderrLines.splice(0, this.stderrLines.length - MAX_STDERR_LINES);
+      }
+    });
+  }
+
+  update(block) {
+    const outTimeUs = parseNumber(block.out_time_us || block.out_time_ms);
+    this.progress = {
+      frame: parseNumber(block.frame),
+      fps: parseNumber(block.fps),
+      bitrateKbps: parseNumber(block.bitrate),
+      totalSize: parseNumber(block.total_size),
+      outTimeSeconds: outTimeUs !== null ? Math.round(outTimeUs / 1000) / 1000 : null,
+      dupFrames: parseNumber(block.dup_frames),
+      dropFrames: parseNumber(block.drop_frames),
+      speed: parseNumber(block.speed),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  get stderrTail() {
+    return this.stderrLines.join('\n');
+  }
+
+  snapshot() {
+    return {
+      ...(this.progress || {}),
+      encoderUptime: this.encoderStartedAt ? Math.round((Date.now() - this.encoderStartedAt) / 1000) : 0,
+      encoderStarts: this.encoderStarts
+    };
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Render every stream's metrics, and the resource guard's readings, in the
+// Prometheus text exposition format
+function renderPrometheus(streams, resources = null) {
+  const families = {};
+  const add = (name, type, help, labels, value) => {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) return;
+    if (!families[name]) {
+      families[name] = { type, help, samples: [] };
+    }
+    const labelText = Object.entries(labels).map(([key, val]) => `${key}="${escapeLabel(val)}"`).join(',');
+    families[name].samples.push(`${name}${labelText ? `{${labelText}}` : ''} ${Number(value)}`);
+  };
+
+  for (const stream of streams) {
+    const status = stream.getStatus();
+    const labels = { stream: status.id };
+    const metrics = status.metrics || {};
+
+    add('webstreamer_stream_active', 'gauge', 'Whether the stream is running (1) or stopped (0)', labels, status.active ? 1 : 0);
+    add('webstreamer_stream_uptime_seconds', 'gauge', 'Seconds since the stream was started', labels, metrics.uptime);
+    add('webstreamer_encoder_fps', 'gauge', 'Frames per second encoded by FFmpeg', labels, metrics.fps);
+    add('webstreamer_encoder_bitrate_kbps', 'gauge', 'Output bitrate reported by FFmpeg', labels, metrics.bitrateKbps);
+    add('webstreamer_encoder_speed', 'gauge', 'Encoding speed relative to real time (1 = real time)', labels, metrics.speed);
+    add('webstreamer_encoder_dup_frames_total', 'counter', 'Frames duplicated by FFmpeg since the encoder started', labels, metrics.dupFrames);
+    add('webstreamer_encoder_drop_frames_total', 'counter', 'Frames dropped by FFmpeg since the encoder started', labels, metrics.dropFrames);
+    add('webstreamer_encoder_output_bytes_total', 'counter', 'Bytes written by FFmpeg since the encoder started', labels, metrics.totalSize);
+    add('webstreamer_encoder_out_time_seconds', 'gauge', 'Output timestamp reached by FFmpeg', labels, metrics.outTimeSeconds);
+    add('webstreamer_encoder_uptime_seconds', 'gauge', 'Seconds since the current encoder was spawned', labels, metrics.encoderUptime);
+    add('webstreamer_capture_frames_sent_total', 'counter', 'Screencast frames written to FFmpeg', labels, metrics.framesSent);
+    add('webstreamer_capture_frames_dropped_total', 'counter', 'Screencast frames superseded by a newer one before reaching FFmpeg', labels, metrics.framesDropped);
+    add('webstreamer_capture_frames_duplicated_total', 'counter', 'Frames repeated by the pacer because the page did not repaint', labels, metrics.framesDuplicated);
+    add('webstreamer_capture_ticks_skipped_total', 'counter', 'Pacer ticks without a frame written (no frame yet, encoder down or busy, stalled event loop)', labels, metrics.ticksSkipped);
+    if (metrics.pacing) {
+      add('webstreamer_capture_measured_fps', 'gauge', 'Frames per second written to FFmpeg by the pacer', labels, metrics.pacing.measuredFps);
+      add('webstreamer_capture_pacer_lateness_ms', 'gauge', 'Lateness of the last pacer tick', labels, metrics.pacing.lastLatenessMs);
+    }
+    if (status.supervisor) {
+      add('webstreamer_pipeline_restarts_total', 'counter', 'Pipeline restarts performed by the supervisor', labels, status.supervisor.restarts);
+    }
+    if (status.adaptive && status.adaptive.enabled) {
+      add('webstreamer_quality_level', 'gauge', 'Adaptive quality level (0 = the stream encoding, higher = degraded)', labels, status.adaptive.level);
+    }
+
+    for (const dest of status.destinations || []) {
+      const destLabels = { stream: status.id, destination: dest.name };
+      add('webstreamer_destination_up', 'gauge', 'Whether the destination relay is live (1) or not (0)', destLabels, dest.state === 'live' ? 1 : 0);
+      add('webstreamer_destination_bytes_sent_total', 'counter', 'Bytes sent to the destination relay', destLabels, dest.bytesSent);
+      add('webstreamer_destination_bytes_dropped_total', 'counter', 'Bytes dropped because the destination could not keep up', destLabels, dest.bytesDropped);
+      add('webstreamer_destination_restarts_total', 'counter', 'Destination relay restarts', destLabels, dest.restarts);
+    }
+  }
+
+  if (resources) {
+    const memoryHelp = 'Resident memory of the process (Chromium: with its child processes)';
+    const cpuHelp = 'CPU usage of the process in percent of the machine';
+    if (resources.node) {
+      add('webstreamer_process_memory_bytes', 'gauge', memoryHelp, { process: 'node' }, resources.node.rssBytes);
+      add('webstreamer_process_cpu_percent', 'gauge', cpuHelp, { process: 'node' }, resources.node.cpuPercent);
+    }
+    for (const browser of resources.chromium || []) {
+      const labels = { process: 'chromium', browser: browser.browser, pid: browser.pid };
+      add('webstreamer_process_memory_bytes', 'gauge', memoryHelp, labels, browser.rssBytes);
+      add('webstreamer_process_cpu_percent', 'gauge', cpuHelp, labels, browser.cpuPercent);
+    }
+    for (const encoder of resources.ffmpeg || []) {
+      const labels = { process: 'ffmpeg', stream: encoder.stream };
+      add('webstreamer_process_memory_bytes', 'gauge', memoryHelp, labels, encoder.rssBytes);
+      add('webstreamer_process_cpu_percent', 'gauge', cpuHelp, labels, encoder.cpuPercent);
+    }
+    if (resources.container) {
+      add('webstreamer_container_memory_bytes', 'gauge', 'Memory charged to the container (cgroup)', {}, resources.container.usageBytes);
+      add('webstreamer_container_memory_limit_bytes', 'gauge', 'Memory limit of the container (cgroup)', {}, resources.container.limitBytes);
+    }
+    add('webstreamer_resource_recycles_total', 'counter', 'Browsers and encoders recycled by the resource guard', {}, resources.recycles);
+  }
+
+  return Object.entries(families).map(([name, family]) => [
+    `# HELP ${name} ${family.help}`,
+    `# TYPE ${name} ${family.type}`,
+    ...family.samples
+  ].join('\n')).join('\n') + '\n';
+}
+
+module.exports = {
+  ENCODER_PROGRESS_ARGS,
+  ENCODER_STDIO,
+  EncoderMetrics,
+  renderPrometheus
+};
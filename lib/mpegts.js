@@ -0,0 +1,26 @@
+// MPEG-TS is a sequence of 188-byte packets, but FFmpeg's pipe output
+// arrives in chunks of any size. The encoders' and the slate's output is cut
+// back into whole packets before the fan-out (lib/stream.js sendOutput), so
+// a relay, the recorder or the preview dropping a chunk under backpressure
+// drops whole packets and never splits one.
+const TS_PACKET_SIZE = 188;
+
+// One per producer (its output starts on a packet boundary). Returns a
+// function taking the producer's chunks in order and returning the whole
+// packets they complete, or null; the partial packet left is kept for the
+// next chunk.
+function packetAligner() {
+  let remainder = null;
+  return (chunk) => {
+    const data = remainder ? Buffer.concat([remainder, chunk]) : chunk;
+    const length = data.length - (data.length % TS_PACKET_SIZE);
+    // Copied, so the remainder does not hold on to the whole chunk
+    remainder = length < data.length ? Buffer.from(data.subarray(length)) : null;
+    return length > 0 ? data.subarray(0, length) : null;
+  };
+}
+
+module.exports = {
+  TS_PACKET_SIZE,
+  packetAligner
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const { registerUrl, registerSecret } = require('./redact');
+
+// Output protocols of the destination relays, picked from the URL scheme:
+// - rtmp://, rtmps:// - FLV; rtmps with a TLS verification policy and an
+//   optional plain RTMP fallback used when the TLS handshake fails
+// - srt:// - MPEG-TS over SRT with latency and passphrase
+// - http(s)://.../*.m3u8 or *.mpd - HLS or DASH pushed with HTTP PUT
+//   (or any http(s) URL with protocol "hls" / "dash")
+// Every relay copies the encoded MPEG-TS stream; only the muxer and its
+// options differ.
+const RTMPS_TLS_VERIFY = process.env.RTMPS_TLS_VERIFY === 'on'; // Off by default, as it always was
+const SRT_LATENCY_MS = parseInt(process.env.SRT_LATENCY_MS) || 200;
+const PUSH_SEGMENT_SECONDS = 4;
+const PUSH_LIST_SIZE = 6;
+const PROTOCOL_WHITELIST = 'file,http,https,tcp,tls,rtmp,rtmps,srt,udp,pipe';
+
+// Lines of a relay's stderr that mean the TLS session could not be set up
+const TLS_FAILURE_PATTERN = /tls|ssl|handshake|certificate|gnutls/i;
+
+function checkBoolean(value, name) {
+  if (value !== undefined && typeof value !== 'boolean') {
+    throw new Error(`${name} must be true or false`);
+  }
+}
+
+const PROTOCOLS = {
+  rtmp: {
+    args: () => ['-f', 'flv', '-flvflags', 'no_duration_filesize', '-rtmp_live', 'live']
+  },
+  rtmps: {
+    validate: (dest, raw) => {
+      checkBoolean(raw.tlsVerify, 'tlsVerify');
+      dest.tlsVerify = raw.tlsVerify !== undefined ? raw.tlsVerify : RTMPS_TLS_VERIFY;
+      if (raw.caFile !== undefined) {
+        if (typeof raw.caFile !== 'string' || !fs.existsSync(raw.caFile)) {
+          throw new Error(`caFile "${raw.caFile}" not found`);
+        }
+        dest.caFile = raw.caFile;
+      }
+      if (raw.fallbackUrl !== undefined) {
+        if (typeof raw.fallbackUrl !== 'string' || !/^rtmp:\/\//i.test(raw.fallbackUrl)) {
+          throw new Error('fallbackUrl must be an rtmp:// URL');
+        }
+        registerUrl(raw.fallbackUrl);
+        dest.fallbackUrl = raw.fallbackUrl;
+      }
+    },
+    args: (dest) => {
+      const args = PROTOCOLS.rtmp.args(dest);
+      args.push('-tls_verify', dest.tlsVerify ? '1' : '0');
+      if (dest.caFile) {
+        args.push('-ca_file', dest.caFile);
+      }
+      return args;
+    }
+  },
+  srt: {
+    validate: (dest, raw) => {
+      const latency = raw.latency !== undefined ? raw.latency : SRT_LATENCY_MS;
+      if (!Number.isInteger(latency) || latency < 20 || latency > 8000) {
+        throw new Error('latency must be an integer between 20 and 8000 ms');
+      }
+      dest.latency = latency;
+      if (raw.passphrase !== undefined) {
+        // SRT only accepts 10 to 79 characters
+        if (typeof raw.passphrase !== 'string' || raw.passphrase.length < 10 || raw.passphrase.length > 79) {
+          throw new Error('passphrase must be 10 to 79 characters');
+        }
+        registerSecret(raw.passphrase);
+        dest.passphrase = raw.passphrase;
+      }
+      if (raw.streamId !== undefined) {
+        if (typeof raw.streamId !== 'string' || !raw.streamId) {
+          throw new Error('streamId must be a non-empty string');
+        }
+        registerSecret(raw.streamId);
+        dest.streamId = raw.streamId;
+      }
+    },
+    args: () => ['-f', 'mpegts'],
+    // SRT options travel in the URL; libsrt wants the latency in microseconds
+    url: (dest, url) => {
+      const parsed = new URL(url);
+      parsed.searchParams.set('mode', parsed.searchParams.get('mode') || 'caller');
+      parsed.searchParams.set('latency', String(dest.latency * 1000));
+      if (dest.passphrase) parsed.searchParams.set('passphrase', dest.passphrase);
+      if (dest.streamId) parsed.searchParams.set('streamid', dest.streamId);
+      return parsed.toString();
+    }
+  },
+  hls: {
+    args: () => [
+      '-f', 'hls',
+      '-method', 'PUT',
+      '-http_persistent', '1',
+      '-hls_time', PUSH_SEGMENT_SECONDS.toString(),
+      '-hls_list_size', PUSH_LIST_SIZE.toString(),
+      '-hls_flags', 'delete_segments+omit_endlist'
+    ]
+  },
+  dash: {
+    args: () => [
+      '-bsf:a', 'aac_adtstoasc', // DASH segments are MP4
+      '-f', 'dash',
+      '-method', 'PUT',
+      '-http_persistent', '1',
+      '-seg_duration', PUSH_SEGMENT_SECONDS.toString(),
+      '-window_size', PUSH_LIST_SIZE.toString(),
+      '-use_template', '1',
+      '-use_timeline', '1'
+    ]
+  }
+};
+
+// Protocol of a destination: explicit `protocol`, else the URL scheme (and
+// the playlist extension for HTTP push). Null when it is not supported.
+function detectProtocol(url, explicit) {
+  const scheme = (/^([a-z]+):\/\//i.exec(url) || [])[1];
+  if (!scheme) return null;
+  const lower = scheme.toLowerCase();
+
+  if (lower === 'http' || lower === 'https') {
+    if (explicit === 'hls' || explicit === 'dash') return explicit;
+    let pathname;
+    try {
+      pathname = new URL(url).pathname;
+    } catch (error) {
+      return null;
+    }
+    if (/\.m3u8$/i.test(pathname)) return 'hls';
+    if (/\.mpd$/i.test(pathname)) return 'dash';
+    return null;
+  }
+  if (explicit !== undefined && explicit !== lower) return null;
+  return PROTOCOLS[lower] ? lower : null;
+}
+
+// Validate the protocol options of a destination ({ url, ...options }) and
+// add them to `dest`. Throws an Error with a user-facing message.
+function parseOutput(dest, raw) {
+  const protocol = detectProtocol(raw.url, raw.protocol);
+  if (!protocol) {
+    throw new Error('must be an rtmp://, rtmps:// or srt:// URL, or an http(s):// URL to an .m3u8 (HLS) or .mpd (DASH) playlist');
+  }
+  dest.protocol = protocol;
+  if (PROTOCOLS[protocol].validate) {
+    PROTOCOLS[protocol].validate(dest, raw);
+  }
+  if (raw.fallbackUrl !== undefined && protocol !== 'rtmps') {
+    throw new Error('fallbackUrl only applies to rtmps:// destinations');
+  }
+  return dest;
+}
+
+// FFmpeg output arguments (muxer, options and target) for a relay to `url`,
+// which is the destination's URL or its RTMP fallback
+function outputArgs(dest, url) {
+  const protocol = url === dest.url ? dest.protocol : detectProtocol(url);
+  const handler = PROTOCOLS[protocol];
+  return [
+    ...handler.args(dest),
+    '-protocol_whitelist', PROTOCOL_WHITELIST,
+    handler.url ? handler.url(dest, url) : url
+  ];
+}
+
+function isTlsFailure(line) {
+  return TLS_FAILURE_PATTERN.test(line);
+}
+
+module.exports = {
+  detectProtocol,
+  parseOutput,
+  outputArgs,
+  isTlsFailure
+};
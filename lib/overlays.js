@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+
+// Overlays burnt into the video: image (logo watermark), text ("LIVE" badge),
+// timestamp (clock) and scroll (ticker line).
+//
+// Text-bearing overlays are drawn with drawtext reading a text file with
+// `reload=1`, so FFmpeg re-reads it on every frame: changing the text at
+// runtime is a file write (atomic rename), no encoder restart needed.
+const OVERLAY_DIR = path.join('/tmp', 'overlays');
+const OVERLAY_FONT_FILE = process.env.OVERLAY_FONT_FILE || null; // Otherwise fontconfig's default "Sans"
+const MAX_OVERLAYS = 10;
+const MAX_TEXT_LENGTH = 500;
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'top', 'bottom', 'center'];
+const COLOR_PATTERN = /^([a-z]+|(#|0x)[0-9a-f]{6})$/i;
+
+const DEFAULTS = {
+  image: { position: 'top-right', opacity: 1, margin: 20 },
+  text: { position: 'top-left', opacity: 1, margin: 20, fontSize: 32, fontColor: 'white', box: false, boxColor: 'black', boxOpacity: 0.5 },
+  timestamp: { position: 'bottom-right', opacity: 1, margin: 20, fontSize: 28, fontColor: 'white', box: true, boxColor: 'black', boxOpacity: 0.5, format: '%H:%M:%S' },
+  scroll: { position: 'bottom', opacity: 1, margin: 20, fontSize: 32, fontColor: 'white', box: true, boxColor: 'black', boxOpacity: 0.6, speed: 100 }
+};
+
+function checkNumber(value, name, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}`);
+  }
+}
+
+function checkText(value, name) {
+  if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+    throw new Error(`${name} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+}
+
+// Values are single-quoted in the filter graph, where a quote cannot be escaped
+function checkQuotable(value, name) {
+  if (typeof value !== 'string' || !value || value.includes("'")) {
+    throw new Error(`${name} must be a non-empty string without single quotes`);
+  }
+}
+
+// Validate overlay definitions (from the API or env) and fill in defaults.
+// Throws an Error with a user-facing message on invalid input.
+function parseOverlays(input) {
+  if (!Array.isArray(input)) {
+    throw new Error('overlays must be a list');
+  }
+  if (input.length > MAX_OVERLAYS) {
+    throw new Error(`At most ${MAX_OVERLAYS} overlays are allowed`);
+  }
+
+  const ids = new Set();
+  return input.map((raw, index) => {
+    try {
+      if (!raw || typeof raw !== 'object' || !DEFAULTS[raw.type]) {
+        throw new Error(`type must be one of: ${Object.keys(DEFAULTS).join(', ')}`);
+      }
+      const overlay = { ...DEFAULTS[raw.type], ...raw, id: raw.id || `overlay${index + 1}` };
+
+      if (!/^[A-Za-z0-9_-]{1,32}$/.test(overlay.id)) {
+        throw new Error('id must be 1-32 letters, digits, "-" or "_"');
+      }
+      if (ids.has(overlay.id)) {
+        throw new Error(`duplicate id "${overlay.id}"`);
+      }
+      ids.add(overlay.id);
+
+      if (raw.x !== undefined || raw.y !== undefined) {
+        checkNumber(overlay.x, 'x', 0, 1920);
+        checkNumber(overlay.y, 'y', 0, 1080);
+      } else if (!POSITIONS.includes(overlay.position)) {
+        throw new Error(`position must be one of: ${POSITIONS.join(', ')} (or x/y)`);
+      }
+      checkNumber(overlay.opacity, 'opacity', 0, 1);
+      checkNumber(overlay.margin, 'margin', 0, 500);
+
+      if (overlay.type === 'image') {
+        checkQuotable(overlay.source, 'source');
+        if (!/^https?:\/\//i.test(overlay.source) && !fs.existsSync(overlay.source)) {
+          throw new Error(`image "${overlay.source}" not found`);
+        }
+        if (overlay.width !== undefined) {
+          checkNumber(overlay.width, 'width', 8, 1920);
+        }
+        return overlay;
+      }
+
+      checkNumber(overlay.fontSize, 'fontSize', 8, 200);
+      for (const field of ['fontColor', 'boxColor']) {
+        if (!COLOR_PATTERN.test(overlay[field])) {
+          throw new Error(`${field} must be a color name or "#rrggbb"`);
+        }
+      }
+      checkNumber(overlay.boxOpacity, 'boxOpacity', 0, 1);
+      if (overlay.fontFile !== undefined) {
+        checkQuotable(overlay.fontFile, 'fontFile');
+      }
+      if (overlay.type === 'timestamp') {
+        checkText(overlay.format, 'format');
+      } else {
+        checkText(overlay.text, 'text');
+      }
+      if (overlay.type === 'scroll') {
+        checkNumber(overlay.speed, 'speed', 1, 2000);
+        if (!['top', 'bottom'].includes(overlay.position) && raw.y === undefined) {
+          throw new Error('scroll overlays must be positioned "top" or "bottom" (or with y)');
+        }
+      }
+      return overlay;
+    } catch (error) {
+      throw new Error(`Overlay ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+// x/y expressions for a named position. `w`/`h` is the overlay size and
+// `W`/`H` the frame size (drawtext calls them tw/th and w/h).
+function positionExpressions(overlay, frameW, frameH, itemW, itemH) {
+  if (overlay.x !== undefined || overlay.y !== undefined) {
+    return { x: String(overlay.x || 0), y: String(overlay.y || 0) };
+  }
+  const m = overlay.margin;
+  const left = String(m);
+  const right = `${frameW}-${itemW}-${m}`;
+  const middleX = `(${frameW}-${itemW})/2`;
+  const top = String(m);
+  const bottom = `${frameH}-${itemH}-${m}`;
+  const middleY = `(${frameH}-${itemH})/2`;
+  return {
+    'top-left': { x: left, y: top },
+    'top-right': { x: right, y: top },
+    'bottom-left': { x: left, y: bottom },
+    'bottom-right': { x: right, y: bottom },
+    top: { x: middleX, y: top },
+    bottom: { x: middleX, y: bottom },
+    center: { x: middleX, y: middleY }
+  }[overlay.position];
+}
+
+// Content of a drawtext text file. Timestamps use drawtext's localtime
+// expansion, where ":" separates arguments and must be escaped.
+function textFileContent(overlay) {
+  if (overlay.type === 'timestamp') {
+    return `%{localtime:${overlay.format.replace(/\\/g, '\\\\').replace(/:/g, '\\:')}}`;
+  }
+  return overlay.text;
+}
+
+// The overlays of one stream and the text files their drawtext filters read
+class OverlaySet {
+  constructor(overlays, streamId) {
+    this.overlays = overlays.map(overlay => ({ ...overlay }));
+    this.dir = path.join(OVERLAY_DIR, streamId);
+  }
+
+  textFile(overlay) {
+    return path.join(this.dir, `${overlay.id}.txt`);
+  }
+
+  // Write every text file before the encoder starts
+  prepare() {
+    if (this.overlays.length === 0) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.overlays.filter(overlay => overlay.type !== 'image').forEach(overlay => this.writeTextFile(overlay));
+  }
+
+  // Write then rename, so FFmpeg never reads a half-written file
+  writeTextFile(overlay) {
+    const file = this.textFile(overlay);
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, textFileContent(overlay));
+    fs.renameSync(temp, file);
+  }
+
+  has(id) {
+    return this.overlays.some(overlay => overlay.id === id);
+  }
+
+  // Change an overlay while the stream runs: `text` for text and scroll
+  // overlays, `format` for timestamps. Throws on an unknown id or bad value.
+  update(id, changes) {
+    const overlay = this.overlays.find(o => o.id === id);
+    if (!overlay) {
+      throw new Error(`Overlay "${id}" not found`);
+    }
+
+    const field = overlay.type === 'timestamp' ? 'format' : 'text';
+    const unsupported = Object.keys(changes).filter(key => key !== field);
+    if (overlay.type === 'image' || unsupported.length > 0 || changes[field] === undefined) {
+      throw new Error(overlay.type === 'image'
+        ? 'Image overlays cannot be changed while the stream runs'
+        : `Only "${field}" can be changed while the stream runs`);
+    }
+    checkText(changes[field], field);
+
+    overlay[field] = changes[field];
+    this.writeTextFile(overlay);
+    return overlay;
+  }
+
+  cleanup() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+
+  // Extra FFmpeg inputs for image overlays, appended after the stream's own inputs
+  inputArgs() {
+    const args = [];
+    for (const overlay of this.overlays.filter(o => o.type === 'image')) {
+      args.push('-loop', '1', '-i', overlay.source);
+    }
+    return args;
+  }
+
+  drawtextFilter(overlay) {
+    const { x, y } = overlay.type === 'scroll'
+      ? { x: `w-mod(t*${overlay.speed},w+tw)`, y: positionExpressions(overlay, 'w', 'h', 'tw', 'th').y }
+      : positionExpressions(overlay, 'w', 'h', 'tw', 'th');
+    const fontFile = overlay.fontFile || OVERLAY_FONT_FILE;
+    const options = [
+      fontFile ? `fontfile='${fontFile}'` : "font='Sans'",
+      `textfile='${this.textFile(overlay)}'`,
+      'reload=1',
+      `expansion=${overlay.type === 'timestamp' ? 'normal' : 'none'}`,
+      `fontsize=${overlay.fontSize}`,
+      `fontcolor=${overlay.fontColor}@${overlay.opacity}`,
+      `x='${x}'`,
+      `y='${y}'`
+    ];
+    if (overlay.box) {
+      options.push('box=1', `boxcolor=${overlay.boxColor}@${overlay.boxOpacity}`, 'boxborderw=10');
+    }
+    return `drawtext=${options.join(':')}`;
+  }
+
+  // FFmpeg arguments for the video filters with the overlays applied.
+  // `baseFilters` is the stream's own chain (scale, fps...), `videoInput` and
+  // `audioMap` locate its streams and `firstImageInput` is the index of the
+  // first input added by inputArgs(). `inputChains` come first in the graph
+  // (a composition's layout, whose output label is then `videoInput`).
+  // Without overlays or input chains this is a plain -vf.
+  filterArgs({ baseFilters, videoInput, audioMap, firstImageInput, inputChains = [] }) {
+    const base = baseFilters.join(',') || 'null';
+    if (this.overlays.length === 0 && inputChains.length === 0) {
+      return ['-vf', `${base},format=yuv420p`];
+    }
+
+    const chains = [...inputChains];
+    let current = 'base';
+    chains.push(`[${videoInput}]${base}[${current}]`);
+
+    let imageInput = firstImageInput;
+    this.overlays.forEach((overlay, index) => {
+      const next = `v${index}`;
+      if (overlay.type === 'image') {
+        const scale = overlay.width ? `scale=${overlay.width}:-1,` : '';
+        chains.push(`[${imageInput}:v]${scale}format=rgba,colorchannelmixer=aa=${overlay.opacity}[img${index}]`);
+        const { x, y } = positionExpressions(overlay, 'W', 'H', 'w', 'h');
+        chains.push(`[${current}][img${index}]overlay=x='${x}':y='${y}':shortest=1[${next}]`);
+        imageInput++;
+      } else {
+        chains.push(`[${current}]${this.drawtextFilter(overlay)}[${next}]`);
+      }
+      current = next;
+    });
+    chains.push(`[${current}]format=yuv420p[vout]`);
+
+    return ['-filter_complex', chains.join(';'), '-map', '[vout]', '-map', audioMap];
+  }
+
+  getStatus() {
+    return this.overlays.map(overlay => {
+      const status = { id: overlay.id, type: overlay.type };
+      if (overlay.type === 'image') status.source = overlay.source;
+      else if (overlay.type === 'timestamp') status.format = overlay.format;
+      else status.text = overlay.text;
+      return status;
+    });
+  }
+}
+
+module.exports = {
+  parseOverlays,
+  OverlaySet
+};
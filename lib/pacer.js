@@ -0,0 +1,133 @@
+const { performance } = require('perf_hooks');
+
+// Constant frame rate for the screencast. Chrome only sends a frame when the
+// page repaints, so a static page sends next to nothing while FFmpeg's
+// image2pipe input expects exactly `fps` pictures per second (it timestamps
+// them by count). The pacer runs a clock of its own:
+// - tick N is due at start + N / fps, computed from the start time so timer
+//   lateness never accumulates into drift
+// - every tick writes exactly one frame: the newest screencast frame, or the
+//   previous one again when the page did not repaint
+// - frames arriving faster than the clock are superseded: only the newest
+//   frame of each interval is written, the others are counted as dropped
+// - ticks missed while the event loop was blocked are caught up (at most
+//   MAX_CATCH_UP_MS worth), beyond that the clock is resynced
+// - a tick is skipped when there is no frame yet, no encoder, or the encoder
+//   has not drained the previous frames
+const MAX_CATCH_UP_MS = 1000;
+const RATE_WINDOW_MS = 5000; // Window of the measured frame rate
+
+class FramePacer {
+  // `write(frame)` hands a frame to the encoder and returns false when it
+  // cannot take one. `counters` are the stream's capture counters (they
+  // outlive page relaunches); `onDropped(count)` reports superseded frames.
+  constructor({ id, fps, counters, write, onDropped }) {
+    this.id = id;
+    this.fps = fps;
+    this.interval = 1000 / fps;
+    this.maxCatchUpTicks = Math.max(1, Math.floor(MAX_CATCH_UP_MS / this.interval));
+    this.counters = counters;
+    this.write = write;
+    this.onDropped = onDropped;
+    this.latest = null;
+    this.fresh = false; // `latest` has not been written yet
+    this.timer = null;
+    this.startAt = 0;
+    this.ticks = 0;
+    this.lastLatenessMs = 0;
+    this.maxLatenessMs = 0;
+    this.resyncs = 0;
+    this.window = { at: 0, framesSent: 0 };
+    this.measuredFps = null;
+  }
+
+  get running() {
+    return !!this.timer;
+  }
+
+  // A new screencast frame
+  push(frame) {
+    if (this.fresh) {
+      this.onDropped(1);
+    }
+    this.latest = frame;
+    this.fresh = true;
+  }
+
+  start() {
+    this.stop();
+    this.startAt = performance.now();
+    this.ticks = 0;
+    this.window = { at: this.startAt, framesSent: this.counters.framesSent };
+    this.schedule();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule() {
+    const next = this.startAt + (this.ticks + 1) * this.interval;
+    this.timer = setTimeout(() => this.run(), Math.max(0, next - performance.now()));
+  }
+
+  run() {
+    const now = performance.now();
+    let due = Math.floor((now - this.startAt) / this.interval) - this.ticks;
+
+    this.lastLatenessMs = Math.round(now - (this.startAt + (this.ticks + 1) * this.interval));
+    this.maxLatenessMs = Math.max(this.maxLatenessMs, this.lastLatenessMs);
+
+    if (due > this.maxCatchUpTicks) {
+      // Blocked for too long: a burst would flood FFmpeg, move the clock on
+      const missed = due - 1;
+      console.warn(`[${this.id}] Frame pacer ${Math.round(missed * this.interval)}ms behind, skipping ${missed} frame(s)`);
+      this.counters.ticksSkipped += missed;
+      this.ticks += missed;
+      this.resyncs++;
+      due = 1;
+    }
+    for (let i = 0; i < due; i++) {
+      this.tick();
+    }
+
+    if (now - this.window.at >= RATE_WINDOW_MS) {
+      this.measuredFps = Math.round((this.counters.framesSent - this.window.framesSent) * 10000 / (now - this.window.at)) / 10;
+      this.window = { at: now, framesSent: this.counters.framesSent };
+    }
+    this.schedule();
+  }
+
+  tick() {
+    this.ticks++;
+    const counters = this.counters;
+    if (!this.latest || !this.write(this.latest)) {
+      counters.ticksSkipped++;
+      return;
+    }
+    counters.framesSent++;
+    if (this.fresh) {
+      this.fresh = false;
+    } else {
+      counters.framesDuplicated++;
+    }
+    if (counters.framesSent % 50 === 0) {
+      console.log(`[${this.id}] Sent ${counters.framesSent} frames to FFmpeg (${counters.framesDuplicated} repeated)`);
+    }
+  }
+
+  getStats() {
+    return {
+      targetFps: this.fps,
+      measuredFps: this.measuredFps,
+      lastLatenessMs: this.lastLatenessMs,
+      maxLatenessMs: this.maxLatenessMs,
+      resyncs: this.resyncs
+    };
+  }
+}
+
+module.exports = {
+  FramePacer
+};
@@ -0,0 +1,516 @@
+const fs = require('fs');
+const { parseSteps } = require('./steps');
+
+// Playlist of sources for a 24/7 channel. Entries are direct URLs, web pages
+// or local files, each played for `duration` seconds or until it ends. The
+// queue plays in order (or shuffled) and can loop. Schedule slots take over
+// the queue during their time window (e.g. page A from 08:00 to 12:00), after
+// which the queue resumes with the entry that was interrupted. With nothing
+// to play between two slots (a schedule-only playlist, or a queue that ran
+// out), the playlist waits for the next slot instead of ending.
+//
+// The playlist only decides what plays and when. Switching is done by the
+// stream's `play(entry)` callback, which swaps the encoder input while the
+// destination relays (and so the RTMP sessions) stay connected.
+const SCHEDULE_CHECK_MS = 10000;
+const MAX_ENTRIES = 500;
+const MAX_DURATION = 7 * 24 * 3600; // Seconds
+const MAX_HISTORY = 20; // Transitions kept for /status
+const ENTRY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Validate one entry. Throws an Error with a user-facing message.
+function parseEntry(raw, fallbackId) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('must be an object');
+  }
+  const sources = ['url', 'webPageUrl', 'file'].filter(field => raw[field] !== undefined);
+  if (sources.length !== 1) {
+    throw new Error('needs exactly one of "url", "webPageUrl" or "file"');
+  }
+  const field = sources[0];
+  if (typeof raw[field] !== 'string' || !raw[field]) {
+    throw new Error(`"${field}" must be a string`);
+  }
+  if (field === 'webPageUrl' && !/^https?:\/\//i.test(raw.webPageUrl)) {
+    throw new Error('"webPageUrl" must be http:// or https://');
+  }
+  if (field === 'file' && !fs.existsSync(raw.file)) {
+    throw new Error(`file "${raw.file}" not found`);
+  }
+
+  const entry = {
+    id: raw.id || fallbackId,
+    title: raw.title || null,
+    [field]: raw[field],
+    duration: raw.duration === undefined || raw.duration === null ? null : raw.duration
+  };
+  if (typeof entry.id !== 'string' || !ENTRY_ID_PATTERN.test(entry.id)) {
+    throw new Error('id must be 1-64 letters, digits, "-" or "_"');
+  }
+  if (entry.duration !== null && (typeof entry.duration !== 'number' || entry.duration <= 0 || entry.duration > MAX_DURATION)) {
+    throw new Error(`duration must be a number of seconds between 1 and ${MAX_DURATION} (or null for "until end")`);
+  }
+  if (raw.playButtonSelector != null || raw.steps != null) {
+    if (field !== 'webPageUrl') {
+      throw new Error('playButtonSelector and steps only apply to web page entries');
+    }
+    if (raw.playButtonSelector != null) entry.playButtonSelector = String(raw.playButtonSelector);
+    if (raw.steps != null) entry.steps = parseSteps(raw.steps);
+  }
+  return entry;
+}
+
+// Cron day-of-week field: "*", "1-5", "0,6", "1-3,5" (0 and 7 are Sunday)
+function parseDays(value) {
+  const days = new Set();
+  for (const part of String(value).split(',')) {
+    if (part === '*') {
+      [0, 1, 2, 3, 4, 5, 6].forEach(day => days.add(day));
+      continue;
+    }
+    const match = /^([0-7])(?:-([0-7]))?$/.exec(part.trim());
+    if (!match) {
+      throw new Error(`days "${value}" must be a cron day-of-week field such as "*", "1-5" or "0,6"`);
+    }
+    const from = parseInt(match[1]);
+    const to = match[2] !== undefined ? parseInt(match[2]) : from;
+    if (to < from) {
+      throw new Error(`days range "${part}" is reversed`);
+    }
+    for (let day = from; day <= to; day++) {
+      days.add(day % 7);
+    }
+  }
+  return days;
+}
+
+function minutesOf(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+function parseSlot(raw, index) {
+  try {
+    if (!raw || typeof raw !== 'object') {
+      throw new Error('must be an object');
+    }
+    for (const field of ['start', 'end']) {
+      if (typeof raw[field] !== 'string' || !TIME_PATTERN.test(raw[field])) {
+        throw new Error(`"${field}" must be a time such as "08:00"`);
+      }
+    }
+    if (raw.start === raw.end) {
+      throw new Error('"start" and "end" must differ');
+    }
+    const days = raw.days === undefined ? '*' : raw.days;
+    parseDays(days);
+    let entry;
+    try {
+      entry = parseEntry(raw.entry, `slot${index + 1}`);
+    } catch (error) {
+      throw new Error(`entry ${error.message}`);
+    }
+    return { id: raw.id || `slot${index + 1}`, days, start: raw.start, end: raw.end, entry };
+  } catch (error) {
+    throw new Error(`Slot ${index + 1}: ${error.message}`);
+  }
+}
+
+// Validate a playlist definition (from the API or env).
+// Throws an Error with a user-facing message on invalid input.
+function parsePlaylist(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('playlist must be an object with "entries"');
+  }
+  const rawEntries = input.entries || [];
+  if (!Array.isArray(rawEntries) || rawEntries.length > MAX_ENTRIES) {
+    throw new Error(`playlist entries must be a list of at most ${MAX_ENTRIES} entries`);
+  }
+  const entries = rawEntries.map((raw, index) => {
+    try {
+      return parseEntry(raw, `entry${index + 1}`);
+    } catch (error) {
+      throw new Error(`Entry ${index + 1}: ${error.message}`);
+    }
+  });
+  checkUniqueIds(entries);
+
+  const schedule = parseSchedule(input.schedule || []);
+  if (entries.length === 0 && schedule.length === 0) {
+    throw new Error('playlist needs at least one entry or schedule slot');
+  }
+
+  return {
+    entries,
+    loop: input.loop === undefined ? true : !!input.loop,
+    shuffle: !!input.shuffle,
+    schedule
+  };
+}
+
+function parseSchedule(input) {
+  if (!Array.isArray(input)) {
+    throw new Error('schedule must be a list of slots');
+  }
+  return input.map(parseSlot);
+}
+
+function checkUniqueIds(entries) {
+  const ids = new Set();
+  for (const entry of entries) {
+    if (ids.has(entry.id)) {
+      throw new Error(`Duplicate entry id "${entry.id}"`);
+    }
+    ids.add(entry.id);
+  }
+}
+
+// Is the slot's window open at `date` (server local time)? Windows that cross
+// midnight belong to the day they start on.
+function slotActive(slot, date) {
+  const days = parseDays(slot.days);
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOf(slot.start);
+  const end = minutesOf(slot.end);
+  const today = date.getDay();
+  if (start < end) {
+    return days.has(today) && now >= start && now < end;
+  }
+  const yesterday = (today + 6) % 7;
+  return (days.has(today) && now >= start) || (days.has(yesterday) && now < end);
+}
+
+class Playlist {
+  // `play(entry)` switches the stream to an entry and may reject;
+  // `idle()` stops the current entry while waiting for a schedule slot;
+  // `end(error)` is called when there is nothing left to play (error is null
+  // when the queue simply ran out).
+  constructor(definition, { id, play, idle, end }) {
+    this.id = id;
+    this.entries = definition.entries.map(entry => ({ ...entry }));
+    this.loop = definition.loop;
+    this.shuffle = definition.shuffle;
+    this.schedule = definition.schedule;
+    this.play = play;
+    this.idle = idle;
+    this.end = end;
+    this.running = false;
+    this.queueId = null; // Queue entry playing, or interrupted by a slot
+    this.current = null; // { entry, slotId, startedAt, endsAt }
+    this.played = new Set(); // Entries played in this shuffle pass
+    this.finishedSlotId = null; // Slot whose entry ended or was skipped early
+    this.durationTimer = null;
+    this.scheduleTimer = null;
+    this.transition = Promise.resolve();
+    this.failures = 0;
+    this.history = [];
+    this.nextGeneratedId = this.entries.length + 1;
+  }
+
+  // Resolves once an entry plays, the playlist waits for a slot, or it ended
+  // (every entry failed to start)
+  async start() {
+    this.running = true;
+    this.scheduleTimer = setInterval(() => this.checkSchedule(), SCHEDULE_CHECK_MS);
+    await this.enqueue(() => this.playNext('start', false));
+    // A failed entry enqueues the next one
+    let transition;
+    do {
+      transition = this.transition;
+      await transition;
+    } while (transition !== this.transition);
+  }
+
+  stop() {
+    this.running = false;
+    clearInterval(this.scheduleTimer);
+    clearTimeout(this.durationTimer);
+    this.scheduleTimer = null;
+    this.durationTimer = null;
+  }
+
+  // Transitions run one at a time, in the order they were requested
+  enqueue(action) {
+    const run = this.transition.then(() => (this.running ? action() : undefined));
+    this.transition = run.catch(() => {});
+    return run;
+  }
+
+  activeSlot(date = new Date()) {
+    return this.schedule.find(slot => slotActive(slot, date)) || null;
+  }
+
+  // Next queue entry after the current one, honouring loop and shuffle
+  nextQueueEntry() {
+    if (this.entries.length === 0) return null;
+
+    if (this.shuffle) {
+      let candidates = this.entries.filter(entry => !this.played.has(entry.id));
+      if (candidates.length === 0) {
+        if (!this.loop) return null;
+        this.played.clear();
+        // Avoid playing the same entry twice in a row across passes
+        candidates = this.entries.length > 1 ? this.entries.filter(entry => entry.id !== this.queueId) : this.entries;
+      }
+      return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    const index = this.entries.findIndex(entry => entry.id === this.queueId);
+    if (index === -1) return this.entries[0];
+    if (index + 1 < this.entries.length) return this.entries[index + 1];
+    return this.loop ? this.entries[0] : null;
+  }
+
+  // Pick what should play now. `advance` moves the queue on; without it the
+  // interrupted (or first) queue entry is resumed.
+  pick(advance) {
+    const slot = this.activeSlot();
+    if (slot && slot.id !== this.finishedSlotId) {
+      return { entry: slot.entry, slotId: slot.id };
+    }
+
+    let entry = null;
+    if (!advance) {
+      entry = this.entries.find(e => e.id === this.queueId) || null;
+    }
+    if (!entry) {
+      entry = this.nextQueueEntry();
+    }
+    return entry ? { entry, slotId: null } : null;
+  }
+
+  async playNext(reason, advance = true) {
+    clearTimeout(this.durationTimer);
+    this.durationTimer = null;
+
+    // Leaving a slot early: do not re-enter it until its window closes, and
+    // resume the queue entry it interrupted rather than the one after
+    const leavingSlot = this.current && this.current.slotId;
+    if (leavingSlot && advance) {
+      this.finishedSlotId = this.current.slotId;
+    }
+
+    const next = this.pick(advance && !leavingSlot);
+    if (!next && this.schedule.length > 0) {
+      // checkSchedule() plays the next slot when it opens
+      this.current = null;
+      console.log(`[${this.id}/playlist] Nothing to play until the next schedule slot`);
+      await this.idle();
+      return;
+    }
+    if (!next) {
+      this.current = null;
+      console.log(`[${this.id}/playlist] Nothing left to play`);
+      await this.end(null);
+      return;
+    }
+
+    const { entry, slotId } = next;
+    if (!slotId) {
+      this.queueId = entry.id;
+      this.played.add(entry.id);
+    }
+    this.current = {
+      entry,
+      slotId,
+      startedAt: new Date().toISOString(),
+      endsAt: entry.duration ? new Date(Date.now() + entry.duration * 1000).toISOString() : null
+    };
+    this.record({ at: this.current.startedAt, entryId: entry.id, slotId, reason });
+    console.log(`[${this.id}/playlist] Playing ${slotId ? `slot ${slotId}` : `entry ${entry.id}`} (${reason})`);
+
+    try {
+      await this.play(entry);
+    } catch (error) {
+      console.error(`[${this.id}/playlist] Entry ${entry.id} failed: ${error.message}`);
+      this.sourceFailed(error.message);
+      return;
+    }
+
+    if (entry.duration) {
+      this.durationTimer = setTimeout(() => {
+        this.failures = 0;
+        this.enqueue(() => this.playNext('duration'));
+      }, entry.duration * 1000);
+    }
+  }
+
+  record(transition) {
+    this.history.push(transition);
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+  }
+
+  // The current entry reached its end ("until end" entries)
+  sourceEnded() {
+    this.failures = 0;
+    return this.enqueue(() => this.playNext('ended'));
+  }
+
+  // The current entry could not be started or kept running: move on, unless
+  // every entry failed in a row (the count resets once an entry plays through)
+  sourceFailed(reason) {
+    if (this.current) {
+      this.current.entry.lastError = reason;
+    }
+    this.failures++;
+    const candidates = this.entries.length + this.schedule.length;
+    if (this.failures >= Math.max(1, candidates)) {
+      this.enqueue(() => this.end(`Every playlist entry failed, last error: ${reason}`));
+      return;
+    }
+    this.enqueue(() => this.playNext('failed'));
+  }
+
+  skip() {
+    return this.enqueue(() => this.playNext('skipped'));
+  }
+
+  // Switch when a slot opens or closes
+  checkSchedule() {
+    const slot = this.activeSlot();
+    const slotId = slot ? slot.id : null;
+    if (this.finishedSlotId && this.finishedSlotId !== slotId) {
+      this.finishedSlotId = null;
+    }
+    const currentSlotId = this.current ? this.current.slotId : null;
+    if (slotId === currentSlotId || slotId === this.finishedSlotId) return;
+
+    this.enqueue(() => this.playNext(slotId ? `slot ${slotId} started` : `slot ${currentSlotId} ended`, false));
+  }
+
+  getEntry(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  generateId() {
+    let id;
+    do {
+      id = `entry${this.nextGeneratedId++}`;
+    } while (this.getEntry(id));
+    return id;
+  }
+
+  // Queue edits. Each throws an Error with a user-facing message.
+  add(raw, position) {
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error(`At most ${MAX_ENTRIES} entries are allowed`);
+    }
+    const entry = parseEntry(raw, this.generateId());
+    if (this.getEntry(entry.id)) {
+      throw new Error(`Entry "${entry.id}" already exists`);
+    }
+    const index = position === undefined ? this.entries.length : this.checkPosition(position, this.entries.length);
+    this.entries.splice(index, 0, entry);
+    // Waiting for a slot: the new entry plays right away
+    if (this.running && !this.current) {
+      this.enqueue(() => this.playNext('added', false));
+    }
+    return entry;
+  }
+
+  // Changes apply the next time the entry plays
+  update(id, changes) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    const base = { ...this.entries[index] };
+    delete base.lastError;
+    // A new source replaces the old one (and its page settings)
+    if (['url', 'webPageUrl', 'file'].some(field => changes[field] !== undefined)) {
+      ['url', 'webPageUrl', 'file', 'playButtonSelector', 'steps'].forEach(field => delete base[field]);
+    }
+    this.entries[index] = parseEntry({ ...base, ...changes, id }, id);
+    return this.entries[index];
+  }
+
+  // Removing the playing entry skips to the next one
+  remove(id) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    const playing = this.current && !this.current.slotId && this.current.entry.id === id;
+    this.entries.splice(index, 1);
+    this.played.delete(id);
+    // Keep the queue position: the next entry is the one after the removed one
+    if (this.queueId === id) {
+      this.queueId = index > 0 ? this.entries[index - 1].id : null;
+    }
+    if (playing) {
+      this.enqueue(() => this.playNext('removed'));
+    }
+  }
+
+  move(id, position) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    const target = this.checkPosition(position, this.entries.length - 1);
+    const [entry] = this.entries.splice(index, 1);
+    this.entries.splice(target, 0, entry);
+    return entry;
+  }
+
+  checkPosition(position, max) {
+    if (!Number.isInteger(position) || position < 0 || position > max) {
+      throw new Error(`position must be an integer between 0 and ${max}`);
+    }
+    return position;
+  }
+
+  setMode(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new Error('Expected an object with "loop" and/or "shuffle"');
+    }
+    const fields = Object.keys(changes);
+    const unknown = fields.filter(field => !['loop', 'shuffle'].includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown field(s): ${unknown.join(', ')} (expected: loop, shuffle)`);
+    }
+    if (fields.length === 0) {
+      throw new Error('Expected "loop" and/or "shuffle"');
+    }
+    for (const field of fields) {
+      if (typeof changes[field] !== 'boolean') {
+        throw new Error(`"${field}" must be true or false`);
+      }
+    }
+    const { loop, shuffle } = changes;
+    if (loop !== undefined) this.loop = loop;
+    if (shuffle !== undefined) {
+      this.shuffle = shuffle;
+      this.played.clear();
+    }
+  }
+
+  setSchedule(input) {
+    this.schedule = parseSchedule(input);
+    this.finishedSlotId = null;
+    if (this.running && !this.current && this.schedule.length === 0) {
+      // Was waiting for a slot that no longer exists: play the queue, or end
+      this.enqueue(() => this.playNext('schedule changed', false));
+      return;
+    }
+    this.checkSchedule();
+  }
+
+  getStatus() {
+    const current = this.current;
+    return {
+      running: this.running,
+      loop: this.loop,
+      shuffle: this.shuffle,
+      current: current ? {
+        entryId: current.entry.id,
+        slotId: current.slotId,
+        title: current.entry.title,
+        startedAt: current.startedAt,
+        endsAt: current.endsAt
+      } : null,
+      entries: this.entries,
+      schedule: this.schedule.map(slot => ({ ...slot, active: slotActive(slot, new Date()) })),
+      history: this.history
+    };
+  }
+}
+
+module.exports = {
+  parsePlaylist,
+  Playlist
+};
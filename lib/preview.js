@@ -0,0 +1,214 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { ffmpegPath } = require('./ffmpeg');
+const { scaleFilter, videoEncodeArgs, audioEncodeArgs } = require('./encoding');
+
+// Local monitoring of what goes to air: a short rolling HLS window, encoded
+// from the same MPEG-TS chunks as the destination relays into a low-bitrate
+// rendition (PREVIEW_WIDTH wide at PREVIEW_VIDEO_BITRATE, x264 ultrafast) so
+// it is cheap to watch over a slow link. PREVIEW_VIDEO_BITRATE=0 remuxes the
+// on-air stream instead: no CPU at all, at the full bitrate.
+// The preview FFmpeg starts on the first request and stops once nobody has
+// asked for it for PREVIEW_IDLE_MS.
+const PREVIEW_DIR = path.join('/tmp', 'preview');
+const PREVIEW_SEGMENT_SECONDS = parseInt(process.env.PREVIEW_SEGMENT_SECONDS) || 2;
+const PREVIEW_LIST_SIZE = parseInt(process.env.PREVIEW_LIST_SIZE) || 5; // Segments in the playlist
+const PREVIEW_WIDTH = parseInt(process.env.PREVIEW_WIDTH) || 426;
+const PREVIEW_VIDEO_BITRATE = process.env.PREVIEW_VIDEO_BITRATE === '0' ? 0 : parseInt(process.env.PREVIEW_VIDEO_BITRATE) || 200; // kbit/s, 0 = remux
+const PREVIEW_AUDIO_BITRATE = 64; // kbit/s
+const PREVIEW_IDLE_MS = 60000;
+const READY_TIMEOUT_MS = 15000; // Wait for the first playlist before answering 503
+const MAX_BUFFER = 2 * 1024 * 1024; // Bytes queued for FFmpeg before dropping
+const SEGMENT_PATTERN = /^segment\d+\.ts$/;
+
+// The preview's encoding: the stream's, scaled down (never up)
+function previewEncoding(encoding) {
+  return {
+    ...encoding,
+    width: Math.min(PREVIEW_WIDTH, encoding.width),
+    height: null, // Keeps the aspect ratio
+    videoBitrate: Math.min(PREVIEW_VIDEO_BITRATE, encoding.videoBitrate),
+    audioBitrate: Math.min(PREVIEW_AUDIO_BITRATE, encoding.audioBitrate),
+    x264Preset: 'ultrafast'
+  };
+}
+
+// FFmpeg output arguments of the preview rendition (or of the remux)
+function renditionArgs(encoding) {
+  if (!PREVIEW_VIDEO_BITRATE || !encoding) {
+    return ['-map', '0', '-c', 'copy'];
+  }
+  const settings = previewEncoding(encoding);
+  return [
+    '-map', '0',
+    ...(settings.video ? ['-vf', scaleFilter(settings)] : []),
+    ...videoEncodeArgs(settings),
+    ...audioEncodeArgs(settings)
+  ];
+}
+
+class Preview {
+  // `getEncoding()` returns the stream's current encoding settings
+  constructor(streamId, getEncoding = () => null) {
+    this.streamId = streamId;
+    this.getEncoding = getEncoding;
+    this.dir = path.join(PREVIEW_DIR, streamId);
+    this.process = null;
+    this.idleTimer = null;
+    this.startedAt = null;
+    this.lastRequestAt = null;
+  }
+
+  get active() {
+    return !!this.process;
+  }
+
+  get playlistFile() {
+    return path.join(this.dir, 'index.m3u8');
+  }
+
+  // A viewer asked for the preview: start it if needed and push the idle stop back
+  touch() {
+    this.lastRequestAt = new Date().toISOString();
+    if (!this.process) {
+      this.start();
+    }
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      console.log(`[${this.streamId}/preview] No viewer for ${PREVIEW_IDLE_MS / 1000}s, stopping preview`);
+      this.stop();
+    }, PREVIEW_IDLE_MS);
+  }
+
+  start() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'warning',
+      '-fflags', '+genpts',
+      '-f', 'mpegts',
+      '-i', 'pipe:0',
+      ...renditionArgs(this.getEncoding()),
+      '-f', 'hls',
+      '-hls_time', PREVIEW_SEGMENT_SECONDS.toString(),
+      '-hls_list_size', PREVIEW_LIST_SIZE.toString(),
+      '-hls_flags', 'delete_segments+omit_endlist+temp_file',
+      '-hls_segment_filename', path.join(this.dir, 'segment%d.ts'),
+      this.playlistFile
+    ];
+    console.log(`[${this.streamId}/preview] Starting HLS preview`);
+
+    const preview = spawn(ffmpegPath, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    this.process = preview;
+    this.startedAt = new Date().toISOString();
+
+    preview.stdin.on('error', (error) => {
+      // EPIPE is expected when FFmpeg closes, so we ignore it
+      if (error.code !== 'EPIPE') {
+        console.error(`[${this.streamId}/preview] FFmpeg stdin error:`, error.message);
+      }
+    });
+    preview.stderr.on('data', (data) => {
+      const output = data.toString();
+      if (/error|failed/i.test(output)) {
+        console.error(`[${this.streamId}/preview] FFmpeg:`, output.trim());
+      }
+    });
+    // A dead preview is simply restarted by the next request
+    preview.on('exit', (code) => {
+      if (this.process !== preview) return;
+      this.process = null;
+      console.warn(`[${this.streamId}/preview] FFmpeg exited with code ${code}`);
+    });
+    preview.on('error', (error) => {
+      console.error(`[${this.streamId}/preview] FFmpeg process error:`, error.message);
+    });
+  }
+
+  stop() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    if (this.process) {
+      const preview = this.process;
+      this.process = null;
+      preview.stdin.end();
+      preview.kill('SIGTERM');
+    }
+    this.startedAt = null;
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+
+  write(chunk) {
+    const stdin = this.process && this.process.stdin;
+    // Behind: drop the chunk, whole MPEG-TS packets (see lib/mpegts.js)
+    if (!stdin || stdin.destroyed || stdin.writableLength > MAX_BUFFER) return;
+    stdin.write(chunk);
+  }
+
+  // Resolves with the playlist path once FFmpeg has written it, or null
+  async waitForPlaylist() {
+    const deadline = Date.now() + READY_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      if (fs.existsSync(this.playlistFile)) return this.playlistFile;
+      if (!this.process) return null;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return null;
+  }
+
+  // Path of a segment listed in the playlist directory, or null
+  segmentFile(name) {
+    if (!SEGMENT_PATTERN.test(name)) return null;
+    const file = path.join(this.dir, name);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  // Most recent complete segment, used to grab a snapshot from direct sources
+  latestSegment() {
+    if (!fs.existsSync(this.playlistFile)) return null;
+    const segments = fs.readFileSync(this.playlistFile, 'utf8').split('\n').filter(line => SEGMENT_PATTERN.test(line.trim()));
+    return segments.length > 0 ? this.segmentFile(segments[segments.length - 1].trim()) : null;
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      startedAt: this.startedAt,
+      lastRequestAt: this.lastRequestAt
+    };
+  }
+}
+
+// Decode one frame of an MPEG-TS segment to JPEG
+function snapshotFromSegment(file) {
+  return new Promise((resolve, reject) => {
+    const args = ['-hide_banner', '-loglevel', 'error', '-i', file, '-frames:v', '1', '-f', 'image2', '-c:v', 'mjpeg', 'pipe:1'];
+    const snapshot = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+    const timer = setTimeout(() => snapshot.kill('SIGKILL'), 10000);
+    snapshot.stdout.on('data', chunk => chunks.push(chunk));
+    snapshot.stderr.on('data', data => { stderr += data.toString(); });
+    snapshot.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    snapshot.on('exit', (code) => {
+      clearTimeout(timer);
+      const image = Buffer.concat(chunks);
+      if (code === 0 && image.length > 0) {
+        resolve(image);
+      } else {
+        reject(new Error(stderr.trim().split('\n').pop() || `FFmpeg exited with code ${code}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  Preview,
+  snapshotFromSegment
+};
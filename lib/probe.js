@@ -0,0 +1,330 @@
+const { spawn } = require('child_process');
+const { ffmpegPath, ffprobePath } = require('./ffmpeg');
+const { openPage, closePage } = require('./browser');
+const { defaultSteps, findPlaySelectors, runSteps } = require('./steps');
+const { parseRecording } = require('./recorder');
+const { buildStreamConfig, Stream } = require('./stream');
+
+// Source probes: check a source before streaming it, instead of finding out
+// after "Stream started" when FFmpeg exits.
+// - direct URL: ffprobe (or `ffmpeg -i` when only ffmpeg-static is
+//   installed) reports the container, codecs, resolution, audio and duration
+// - web page: the page is loaded in the shared browser, the play selectors
+//   are looked up, then the page steps are run as a stream would
+// - dry run (optional): the whole pipeline runs for a few seconds with no
+//   destination, its output is discarded or recorded to a local file
+const PROBE_TIMEOUT_MS = parseInt(process.env.PROBE_TIMEOUT_MS) || 15000; // ffprobe and page load
+const DRY_RUN_OUTPUTS = ['null', 'file'];
+const DRY_RUN_DEFAULT_SECONDS = 5;
+const DRY_RUN_MAX_SECONDS = 30;
+
+let dryRunStream = null; // One dry run at a time, it runs a full encoder
+
+// Validate a probe request: a stream definition (same fields as POST
+// /streams) plus an optional `dryRun`. Throws an Error with a user-facing
+// message on invalid input.
+function parseProbeRequest(input, defaults) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Probe request must be an object');
+  }
+  const { dryRun, ...definition } = input;
+  const config = buildStreamConfig({ ...definition, id: definition.id || 'probe' }, defaults);
+  if (!dryRun && !config.url && !config.webPageUrl) {
+    throw new Error('Only a Source URL or Web Page URL can be probed, use dryRun for playlists and compositions');
+  }
+  return { config, dryRun: dryRun ? parseDryRun(dryRun) : null };
+}
+
+function parseDryRun(input) {
+  const options = input === true ? {} : input;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('dryRun must be true or an object');
+  }
+  const dryRun = {
+    seconds: options.seconds !== undefined ? options.seconds : DRY_RUN_DEFAULT_SECONDS,
+    output: options.output || 'null'
+  };
+  if (!Number.isInteger(dryRun.seconds) || dryRun.seconds < 1 || dryRun.seconds > DRY_RUN_MAX_SECONDS) {
+    throw new Error(`dryRun seconds must be an integer between 1 and ${DRY_RUN_MAX_SECONDS}`);
+  }
+  if (!DRY_RUN_OUTPUTS.includes(dryRun.output)) {
+    throw new Error(`dryRun output must be one of: ${DRY_RUN_OUTPUTS.join(', ')}`);
+  }
+  return dryRun;
+}
+
+// Run a command with a time limit. Resolves with { code, stdout, stderr, timedOut }.
+function run(command, args) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, PROBE_TIMEOUT_MS);
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ code: null, stdout, stderr: error.message, timedOut });
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr, timedOut });
+    });
+  });
+}
+
+function inputOptions(url) {
+  return /^rtsp:\/\//i.test(url) ? ['-rtsp_transport', 'tcp'] : [];
+}
+
+// "30000/1001" -> 29.97
+function parseRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round(num / den * 100) / 100;
+}
+
+function lastLine(text) {
+  return text.trim().split('\n').pop() || null;
+}
+
+async function probeWithFfprobe(url) {
+  const result = await run(ffprobePath, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    ...inputOptions(url),
+    url
+  ]);
+  if (result.timedOut) {
+    throw new Error(`ffprobe timed out after ${PROBE_TIMEOUT_MS}ms`);
+  }
+  if (result.code !== 0) {
+    throw new Error(lastLine(result.stderr) || `ffprobe exited with code ${result.code}`);
+  }
+
+  const { format = {}, streams = [] } = JSON.parse(result.stdout);
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  const duration = parseFloat(format.duration);
+  return {
+    format: format.format_name || null,
+    durationSeconds: duration > 0 ? duration : null,
+    bitrateKbps: format.bit_rate ? Math.round(format.bit_rate / 1000) : null,
+    video: video ? {
+      codec: video.codec_name,
+      width: video.width || null,
+      height: video.height || null,
+      fps: parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate)
+    } : null,
+    audio: audio ? {
+      codec: audio.codec_name,
+      sampleRate: parseInt(audio.sample_rate) || null,
+      channels: audio.channels || null
+    } : null
+  };
+}
+
+// `ffmpeg -i <url>` with no output prints the input description and exits 1
+async function probeWithFfmpeg(url) {
+  const result = await run(ffmpegPath, ['-hide_banner', ...inputOptions(url), '-i', url]);
+  if (result.timedOut) {
+    throw new Error(`FFmpeg timed out after ${PROBE_TIMEOUT_MS}ms`);
+  }
+  const text = result.stderr;
+  const input = text.match(/Input #0, (.+?), from/);
+  if (!input) {
+    throw new Error(lastLine(text) || `FFmpeg exited with code ${result.code}`);
+  }
+
+  const duration = text.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+  const bitrate = text.match(/Duration: [^\n]*bitrate: (\d+) kb\/s/);
+  const video = text.match(/Stream #0:\d+[^:]*: Video: (\w+)[^\n]*/);
+  const audio = text.match(/Stream #0:\d+[^:]*: Audio: (\w+)[^\n]*/);
+  const size = video && video[0].match(/, (\d{2,5})x(\d{2,5})/);
+  const fps = video && video[0].match(/([\d.]+) (?:fps|tbr)/);
+  const sampleRate = audio && audio[0].match(/(\d+) Hz/);
+  const layout = audio && audio[0].match(/Hz, ([^,]+)/);
+  const seconds = duration ? Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]) : 0;
+  return {
+    format: input[1],
+    durationSeconds: seconds > 0 ? seconds : null,
+    bitrateKbps: bitrate ? Number(bitrate[1]) : null,
+    video: video ? {
+      codec: video[1],
+      width: size ? Number(size[1]) : null,
+      height: size ? Number(size[2]) : null,
+      fps: fps ? Number(fps[1]) : null
+    } : null,
+    audio: audio ? {
+      codec: audio[1],
+      sampleRate: sampleRate ? Number(sampleRate[1]) : null,
+      channels: layout ? ({ mono: 1, stereo: 2 })[layout[1].trim()] || null : null
+    } : null
+  };
+}
+
+// Codecs, resolution and audio of a direct source. A source with no
+// duration is reported as live.
+async function probeUrl(url) {
+  const result = { ok: false, tool: ffprobePath ? 'ffprobe' : 'ffmpeg', error: null };
+  try {
+    const details = ffprobePath ? await probeWithFfprobe(url) : await probeWithFfmpeg(url);
+    if (!details.video && !details.audio) {
+      throw new Error('No audio or video stream found');
+    }
+    Object.assign(result, details, { ok: true, live: details.durationSeconds === null });
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+}
+
+// Load a page, look for its play selectors, then run its steps
+async function probePage(source) {
+  const { webPageUrl, playButtonSelector } = source;
+  const result = {
+    ok: false,
+    httpStatus: null,
+    finalUrl: null,
+    title: null,
+    selectors: [],
+    matchedSelector: null,
+    steps: [],
+    media: null,
+    error: null
+  };
+
+  const { page } = await openPage();
+  try {
+    await page.setViewport({ width: 1920, height: 1080 });
+    const response = await page.goto(webPageUrl, { waitUntil: 'networkidle2', timeout: PROBE_TIMEOUT_MS });
+    result.httpStatus = response ? response.status() : null;
+    result.finalUrl = page.url();
+    result.title = await page.title();
+
+    // Before the steps, which may click the button away
+    result.selectors = await findPlaySelectors(page, playButtonSelector);
+    const matched = result.selectors.find(entry => entry.found);
+    result.matchedSelector = matched ? matched.selector : null;
+
+    try {
+      result.steps = await runSteps(page, source.steps || defaultSteps(), { id: 'probe', playButtonSelector });
+    } catch (error) {
+      result.steps = error.steps || [];
+      throw error;
+    }
+
+    result.media = await page.evaluate(() => {
+      const elements = Array.from(document.querySelectorAll('video, audio'));
+      return {
+        video: elements.filter(element => element.tagName === 'VIDEO').length,
+        audio: elements.filter(element => element.tagName === 'AUDIO').length,
+        playing: elements.some(element => !element.paused && !element.ended)
+      };
+    });
+    result.ok = true;
+  } catch (error) {
+    result.error = error.message;
+  } finally {
+    await closePage(page);
+  }
+  return result;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run the stream's whole pipeline (page or input, overlays, encoder) for a
+// few seconds without its destinations. With output "file" the result is
+// recorded like any stream recording (see GET /recordings).
+async function dryRun(config, options) {
+  if (dryRunStream) {
+    throw new Error('A dry run is already running');
+  }
+  const stream = new Stream({
+    ...config,
+    id: `dryrun-${Date.now()}`,
+    destinations: [],
+    recording: options.output === 'file' ? parseRecording(true) : null
+  }, { silent: true }); // Its errors are in the response, not on the event bus
+  dryRunStream = stream;
+
+  const result = { ok: false, seconds: options.seconds, output: options.output, file: null, metrics: null, steps: undefined, errors: [], error: null };
+  try {
+    console.log(`[${stream.id}] Dry run of ${stream.source.webPageUrl || stream.source.url || stream.type} for ${options.seconds}s (output: ${options.output})`);
+    try {
+      await stream.start();
+      // Stop early if the stream gives up
+      const endAt = Date.now() + options.seconds * 1000;
+      while (Date.now() < endAt && stream.status.active) {
+        await wait(Math.min(500, endAt - Date.now()));
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    const status = stream.getStatus();
+    result.file = status.recording.file;
+    // Progress fields are missing until the encoder reports once
+    const { frame = null, fps = null, bitrateKbps = null, outTimeSeconds = null, speed = null, encoderStarts, framesSent } = status.metrics;
+    result.metrics = { frame, fps, bitrateKbps, outTimeSeconds, speed, encoderStarts, framesSent };
+    result.steps = status.steps;
+    result.errors = status.errors;
+    result.error = result.error || status.error;
+    // Encoded something, and nothing failed on the way
+    result.ok = !result.error && result.errors.length === 0 && result.metrics.outTimeSeconds > 0;
+  } finally {
+    await stream.stop();
+    dryRunStream = null;
+  }
+  return result;
+}
+
+// Probe the request's source and/or dry-run its pipeline
+async function probe(request) {
+  const { config, dryRun: dryRunOptions } = request;
+  const response = { source: null, ok: true };
+
+  if (config.webPageUrl) {
+    response.source = { type: 'webpage', webPageUrl: config.webPageUrl, playButtonSelector: config.playButtonSelector };
+    response.page = await probePage({ webPageUrl: config.webPageUrl, playButtonSelector: config.playButtonSelector, steps: config.steps });
+    response.ok = response.page.ok;
+  } else if (config.url) {
+    response.source = { type: 'direct', url: config.url };
+    response.probe = await probeUrl(config.url);
+    response.ok = response.probe.ok;
+  } else {
+    response.source = { type: config.playlist ? 'playlist' : 'composition' };
+  }
+
+  // No point in running the pipeline on a source that cannot be read
+  if (dryRunOptions && response.ok) {
+    response.dryRun = await dryRun(config, dryRunOptions);
+    response.ok = response.dryRun.ok;
+  }
+  return response;
+}
+
+function isDryRunning() {
+  return !!dryRunStream;
+}
+
+async function stopDryRun() {
+  if (dryRunStream) {
+    await dryRunStream.stop();
+  }
+}
+
+module.exports = {
+  parseProbeRequest,
+  probe,
+  isDryRunning,
+  stopDryRun
+};
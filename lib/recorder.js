@@ -0,0 +1,307 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { ffmpegPath } = require('./ffmpeg');
+
+// Local recording of what goes to air. The recorder receives the same MPEG-TS
+// chunks as the destination relays (fallback slate included) and remuxes them
+// without re-encoding into MP4 or MKV files, one FFmpeg process per file.
+// Files are rotated after `segmentSeconds` or `maxSegmentMb`, and the
+// directory is pruned by age and total size.
+const RECORDING_DIR = path.resolve(process.env.RECORDING_DIR || 'recordings');
+const RECORDING_FORMAT = process.env.RECORDING_FORMAT || 'mp4';
+const RECORDING_SEGMENT_SECONDS = parseInt(process.env.RECORDING_SEGMENT_SECONDS) || 3600;
+const RECORDING_MAX_SEGMENT_MB = parseInt(process.env.RECORDING_MAX_SEGMENT_MB) || 0; // 0: no size limit
+const RECORDING_MAX_AGE_HOURS = parseInt(process.env.RECORDING_MAX_AGE_HOURS) || 0; // 0: keep forever
+const RECORDING_MAX_TOTAL_MB = parseInt(process.env.RECORDING_MAX_TOTAL_MB) || 0; // 0: no disk limit
+const CHECK_INTERVAL_MS = 5000; // Rotation checks
+const REOPEN_DELAY_MS = 2000; // Before a new file when FFmpeg died
+const RETENTION_INTERVAL_MS = 60000;
+const MAX_BUFFER = 8 * 1024 * 1024; // Bytes queued for FFmpeg before dropping
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_-]+_\d{8}-\d{6}(-\d+)?\.(mp4|mkv)$/;
+
+// Fragmented MP4 stays playable if FFmpeg dies before writing the trailer
+const FORMATS = {
+  mp4: { extension: 'mp4', args: ['-bsf:a', 'aac_adtstoasc', '-f', 'mp4', '-movflags', '+frag_keyframe+empty_moov+default_base_moof'] },
+  mkv: { extension: 'mkv', args: ['-f', 'matroska'] }
+};
+
+// Files being written right now, never pruned or deleted
+const activeFiles = new Set();
+
+// Validate recording options (from the API or a stream definition) and fill
+// in the env defaults. `true` records with the defaults, null or false does not
+// record. Throws an Error with a user-facing message.
+function parseRecording(input = {}) {
+  if (input === null || input === false) {
+    return null;
+  }
+  if (input === true) {
+    input = {};
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('recording must be an object');
+  }
+  const options = {
+    format: input.format || RECORDING_FORMAT,
+    segmentSeconds: input.segmentSeconds !== undefined ? input.segmentSeconds : RECORDING_SEGMENT_SECONDS,
+    maxSegmentMb: input.maxSegmentMb !== undefined ? input.maxSegmentMb : RECORDING_MAX_SEGMENT_MB
+  };
+  if (!FORMATS[options.format]) {
+    throw new Error(`recording format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  if (!Number.isInteger(options.segmentSeconds) || options.segmentSeconds < 10 || options.segmentSeconds > 24 * 3600) {
+    throw new Error('recording segmentSeconds must be an integer between 10 and 86400');
+  }
+  if (!Number.isInteger(options.maxSegmentMb) || options.maxSegmentMb < 0 || options.maxSegmentMb > 100000) {
+    throw new Error('recording maxSegmentMb must be an integer between 0 (no limit) and 100000');
+  }
+  return options;
+}
+
+function timestamp(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// Close a file: ending stdin lets FFmpeg write the trailer
+function closeProcess(recorder) {
+  if (!recorder) return;
+  recorder.stdin.end();
+  setTimeout(() => {
+    if (recorder.exitCode === null && recorder.signalCode === null) {
+      recorder.kill('SIGKILL');
+    }
+  }, 10000);
+}
+
+class Recorder {
+  constructor(streamId) {
+    this.streamId = streamId;
+    this.options = null;
+    this.process = null;
+    this.file = null;
+    this.fileStartedAt = null;
+    this.startedAt = null;
+    this.timer = null;
+    this.reopenTimer = null;
+    this.segments = 0;
+    this.bytesWritten = 0;
+    this.bytesDropped = 0;
+    this.lastError = null;
+  }
+
+  get active() {
+    return !!this.options;
+  }
+
+  start(options) {
+    fs.mkdirSync(RECORDING_DIR, { recursive: true });
+    this.options = options;
+    this.startedAt = new Date().toISOString();
+    this.segments = 0;
+    this.bytesWritten = 0;
+    this.bytesDropped = 0;
+    this.lastError = null;
+    console.log(`[${this.streamId}/recording] Recording to ${RECORDING_DIR} (${options.format}, ${options.segmentSeconds}s${options.maxSegmentMb ? ` / ${options.maxSegmentMb}MB` : ''} per file)`);
+    this.openFile();
+    this.timer = setInterval(() => this.checkRotation(), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (!this.active) return;
+    clearInterval(this.timer);
+    clearTimeout(this.reopenTimer);
+    this.timer = null;
+    this.reopenTimer = null;
+    const recorder = this.process;
+    this.process = null;
+    closeProcess(recorder);
+    this.options = null;
+    console.log(`[${this.streamId}/recording] Recording stopped`);
+  }
+
+  // Start a new file. The MPEG-TS stream is cut at the next chunk, on a
+  // packet boundary; the file's first frames may not decode until the next
+  // keyframe.
+  openFile() {
+    const format = FORMATS[this.options.format];
+    let name = `${this.streamId}_${timestamp(new Date())}.${format.extension}`;
+    for (let n = 2; fs.existsSync(path.join(RECORDING_DIR, name)); n++) {
+      name = `${this.streamId}_${timestamp(new Date())}-${n}.${format.extension}`;
+    }
+    const file = path.join(RECORDING_DIR, name);
+
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'warning',
+      '-fflags', '+genpts',
+      '-f', 'mpegts',
+      '-i', 'pipe:0',
+      '-map', '0',
+      '-c', 'copy',
+      ...format.args,
+      file
+    ];
+    const recorder = spawn(ffmpegPath, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    this.process = recorder;
+    this.file = file;
+    this.fileStartedAt = Date.now();
+    this.segments++;
+    activeFiles.add(file);
+    console.log(`[${this.streamId}/recording] Writing ${name}`);
+
+    recorder.stdin.on('error', (error) => {
+      // EPIPE is expected when FFmpeg closes, so we ignore it
+      if (error.code !== 'EPIPE') {
+        console.error(`[${this.streamId}/recording] FFmpeg stdin error:`, error.message);
+      }
+    });
+    recorder.stderr.on('data', (data) => {
+      const line = data.toString().trim().split('\n').pop();
+      if (/error|failed/i.test(line)) {
+        this.lastError = line;
+        console.error(`[${this.streamId}/recording] FFmpeg: ${line}`);
+      }
+    });
+    recorder.on('error', (error) => {
+      this.lastError = error.message;
+      console.error(`[${this.streamId}/recording] FFmpeg process error:`, error.message);
+    });
+    recorder.on('exit', (code) => {
+      activeFiles.delete(file);
+      if (this.process !== recorder) return;
+      // Died on its own: carry on in a new file
+      this.process = null;
+      this.lastError = this.lastError || `FFmpeg exited with code ${code}`;
+      console.warn(`[${this.streamId}/recording] FFmpeg exited with code ${code}, opening a new file in ${REOPEN_DELAY_MS}ms`);
+      this.reopenTimer = setTimeout(() => {
+        this.reopenTimer = null;
+        if (this.active && !this.process) this.openFile();
+      }, REOPEN_DELAY_MS);
+    });
+  }
+
+  checkRotation() {
+    if (!this.process) return;
+    const { segmentSeconds, maxSegmentMb } = this.options;
+    let reason = null;
+    if (Date.now() - this.fileStartedAt >= segmentSeconds * 1000) {
+      reason = 'duration';
+    } else if (maxSegmentMb) {
+      const size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+      if (size >= maxSegmentMb * 1024 * 1024) reason = 'size';
+    }
+    if (!reason) return;
+
+    console.log(`[${this.streamId}/recording] Rotating ${path.basename(this.file)} (${reason})`);
+    // Open the next file first so no chunk is lost in between
+    const previous = this.process;
+    this.openFile();
+    closeProcess(previous);
+    enforceRetention();
+  }
+
+  write(chunk) {
+    const stdin = this.process && this.process.stdin;
+    if (!stdin || stdin.destroyed) return;
+    // A slow disk must not grow memory - drop instead (whole MPEG-TS packets)
+    if (stdin.writableLength > MAX_BUFFER) {
+      this.bytesDropped += chunk.length;
+      return;
+    }
+    stdin.write(chunk);
+    this.bytesWritten += chunk.length;
+  }
+
+  getStatus() {
+    return {
+      active: this.active,
+      format: this.options ? this.options.format : null,
+      segmentSeconds: this.options ? this.options.segmentSeconds : null,
+      maxSegmentMb: this.options ? this.options.maxSegmentMb : null,
+      file: this.process ? path.basename(this.file) : null,
+      startedAt: this.active ? this.startedAt : null,
+      segments: this.segments,
+      bytesWritten: this.bytesWritten,
+      bytesDropped: this.bytesDropped,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Recordings on disk, oldest first
+function listRecordings() {
+  if (!fs.existsSync(RECORDING_DIR)) return [];
+  return fs.readdirSync(RECORDING_DIR)
+    .filter(name => FILE_NAME_PATTERN.test(name))
+    .map(name => {
+      const file = path.join(RECORDING_DIR, name);
+      const stat = fs.statSync(file);
+      return {
+        name,
+        stream: name.slice(0, name.lastIndexOf('_', name.indexOf('.'))),
+        size: stat.size,
+        modifiedAt: stat.mtime.toISOString(),
+        recording: activeFiles.has(file),
+        mtimeMs: stat.mtimeMs
+      };
+    })
+    .sort((a, b) => a.mtimeMs - b.mtimeMs)
+    .map(({ mtimeMs, ...recording }) => recording);
+}
+
+// Absolute path of a recording, or null for a name that is not one (this
+// also keeps "../" and friends out)
+function recordingPath(name) {
+  if (!FILE_NAME_PATTERN.test(name)) return null;
+  const file = path.join(RECORDING_DIR, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+function isRecording(name) {
+  return activeFiles.has(path.join(RECORDING_DIR, name));
+}
+
+function deleteRecording(name) {
+  fs.unlinkSync(path.join(RECORDING_DIR, name));
+  console.log(`Recording ${name} deleted`);
+}
+
+// Delete finished recordings older than RECORDING_MAX_AGE_HOURS, then the
+// oldest ones until the directory fits in RECORDING_MAX_TOTAL_MB
+function enforceRetention() {
+  if (!RECORDING_MAX_AGE_HOURS && !RECORDING_MAX_TOTAL_MB) return;
+  try {
+    const recordings = listRecordings();
+    const maxAgeMs = RECORDING_MAX_AGE_HOURS * 3600 * 1000;
+    let total = recordings.reduce((sum, recording) => sum + recording.size, 0);
+
+    for (const recording of recordings) {
+      if (recording.recording) continue;
+      const tooOld = maxAgeMs && Date.now() - new Date(recording.modifiedAt).getTime() > maxAgeMs;
+      const tooBig = RECORDING_MAX_TOTAL_MB && total > RECORDING_MAX_TOTAL_MB * 1024 * 1024;
+      if (!tooOld && !tooBig) continue;
+      fs.unlinkSync(path.join(RECORDING_DIR, recording.name));
+      total -= recording.size;
+      console.log(`Retention: deleted recording ${recording.name} (${tooOld ? 'too old' : 'disk limit'})`);
+    }
+  } catch (error) {
+    console.error('Recording retention failed:', error.message);
+  }
+}
+
+const retentionTimer = setInterval(enforceRetention, RETENTION_INTERVAL_MS);
+retentionTimer.unref();
+
+module.exports = {
+  RECORDING_DIR,
+  parseRecording,
+  Recorder,
+  listRecordings,
+  recordingPath,
+  isRecording,
+  deleteRecording,
+  enforceRetention
+};
@@ -0,0 +1,113 @@
+const util = require('util');
+
+// Stream keys must never reach logs or API responses. Destination URLs are
+// reduced to scheme, host and application (rtmp://host/app/****, or
+// rtmp://host/**** and srt://host/**** without one), and every key seen by
+// parseDestinations is remembered so it can also be scrubbed from free text
+// such as FFmpeg error lines.
+const REDACTED = '****';
+const MIN_SECRET_LENGTH = 4; // Shorter strings would redact ordinary words
+const MIN_LONE_SEGMENT_LENGTH = 10; // A web URL path of one word ("webhook") is no key
+const APP_SCHEMES = ['rtmp:', 'rtmps:']; // rtmp://host/app/key: the application is no secret
+const WEB_SCHEMES = ['http:', 'https:']; // Webhooks, HLS/DASH push: the path may be plain words
+const secrets = new Set();
+
+// Path segments of a parsed URL: { app, key } where app is the RTMP
+// application kept in clear (null without one) and key the rest of the path
+// ('' when empty). An RTMP URL with a single segment is all key.
+function splitPath(parsed) {
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  if (APP_SCHEMES.includes(parsed.protocol) && segments.length > 1) {
+    return { app: segments[0], key: segments.slice(1).join('/') };
+  }
+  return { app: null, key: segments.join('/') };
+}
+
+// The key part of the path, the query string and any password
+function urlSecrets(url) {
+  const found = [];
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return found;
+  }
+
+  if (parsed.password) found.push(decodeURIComponent(parsed.password));
+  const { app, key } = splitPath(parsed);
+  if (key && (!WEB_SCHEMES.includes(parsed.protocol) || key.includes('/') || key.length >= MIN_LONE_SEGMENT_LENGTH)) {
+    found.push(key);
+  }
+  for (const value of parsed.searchParams.values()) {
+    found.push(value);
+  }
+  return found.filter(secret => secret.length >= MIN_SECRET_LENGTH);
+}
+
+function registerSecret(secret) {
+  if (typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH) {
+    secrets.add(secret);
+  }
+}
+
+// Remember the keys of a destination URL so redact() scrubs them everywhere
+function registerUrl(url) {
+  urlSecrets(url).forEach(registerSecret);
+}
+
+function redactUrl(url) {
+  if (typeof url !== 'string') return url;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return redact(url);
+  }
+
+  if (parsed.password) parsed.password = REDACTED;
+  const { app, key } = splitPath(parsed);
+  if (key) {
+    parsed.pathname = app ? `/${app}/${REDACTED}` : `/${REDACTED}`;
+  }
+  for (const key of Array.from(parsed.searchParams.keys())) {
+    parsed.searchParams.set(key, REDACTED);
+  }
+  return parsed.toString();
+}
+
+// Replace every registered key in free text, longest first so a full key path
+// is not left half redacted by one of its segments
+function redact(text) {
+  if (typeof text !== 'string' || secrets.size === 0) return text;
+  let result = text;
+  const sorted = Array.from(secrets).sort((a, b) => b.length - a.length);
+  for (const secret of sorted) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+  return result;
+}
+
+// Express 'json replacer': scrub keys from every string in every JSON response
+function jsonReplacer(key, value) {
+  return typeof value === 'string' ? redact(value) : value;
+}
+
+// Route console output through redact() so no log line prints a key, whatever
+// module (or FFmpeg stderr line) it comes from
+function installLogRedaction() {
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redact(util.format(...args)));
+  }
+}
+
+module.exports = {
+  registerUrl,
+  registerSecret,
+  redactUrl,
+  redact,
+  jsonReplacer,
+  installLogRedaction
+};
@@ -0,0 +1,45 @@
+const { Stream } = require('./stream');
+const { closeBrowser } = require('./browser');
+
+// All named streams of this process, keyed by id. The `/start`, `/stop` and
+// `/status` routes operate on the stream with DEFAULT_STREAM_ID.
+const DEFAULT_STREAM_ID = 'default';
+const streams = new Map();
+
+function getStream(id) {
+  return streams.get(id) || null;
+}
+
+function listStreams() {
+  return Array.from(streams.values());
+}
+
+// Register a new stream, replacing a stopped stream with the same id.
+// Callers must check that no active stream uses the id.
+function createStream(config) {
+  const stream = new Stream(config);
+  streams.set(stream.id, stream);
+  return stream;
+}
+
+async function deleteStream(id) {
+  const stream = streams.get(id);
+  if (!stream) return false;
+  streams.delete(id);
+  await stream.stop();
+  return true;
+}
+
+async function stopAllStreams() {
+  await Promise.all(listStreams().map(stream => stream.stop()));
+  await closeBrowser();
+}
+
+module.exports = {
+  DEFAULT_STREAM_ID,
+  getStream,
+  listStreams,
+  createStream,
+  deleteStream,
+  stopAllStreams
+};
@@ -0,0 +1,279 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { ffmpegPath } = require('./ffmpeg');
+const { scaleFilter, outputHeight, videoEncodeArgs, audioEncodeArgs } = require('./encoding');
+const { packetAligner } = require('./mpegts');
+
+// Fallback slate: a standby source sent to the destinations while the primary
+// source is down (FFmpeg restarting, page being recovered). It runs its own
+// encoder writing MPEG-TS into the same destination relays, so the RTMP
+// sessions stay up; the stream switches back as soon as the primary produces
+// output again.
+//
+// Types:
+// - card: a plain background with a centered text ("We'll be right back")
+// - image: a still image
+// - clip: a video file played in a loop
+// Each can carry an `audio` file (looped); otherwise cards and images send
+// silence and clips their own audio.
+const SLATE_DIR = path.join('/tmp', 'slates');
+const SLATE_FONT_FILE = process.env.OVERLAY_FONT_FILE || null; // Same font as the text overlays
+const SLATE_RESTART_DELAY_MS = 2000;
+const MAX_TEXT_LENGTH = 200;
+const MAX_HISTORY = 20; // Switches kept for /status
+const COLOR_PATTERN = /^([a-z]+|(#|0x)[0-9a-f]{6})$/i;
+const TYPES = ['card', 'image', 'clip'];
+
+const DEFAULTS = {
+  card: { text: "We'll be right back", background: 'black', fontColor: 'white' },
+  image: {},
+  clip: {}
+};
+
+// Local file or http(s) URL, single-quote free (it may end up in a filter graph)
+function checkMedia(value, name) {
+  if (typeof value !== 'string' || !value || value.includes("'")) {
+    throw new Error(`${name} must be a non-empty string without single quotes`);
+  }
+  if (!/^https?:\/\//i.test(value) && !fs.existsSync(value)) {
+    throw new Error(`${name} "${value}" not found`);
+  }
+}
+
+// Validate a slate definition (from the API or env) and fill in defaults.
+// null or false disables the slate. Throws an Error with a user-facing message.
+function parseSlate(input) {
+  if (input === null || input === false) {
+    return null;
+  }
+  try {
+    if (!input || typeof input !== 'object' || !TYPES.includes(input.type)) {
+      throw new Error(`type must be one of: ${TYPES.join(', ')}`);
+    }
+    const slate = { ...DEFAULTS[input.type], ...input };
+
+    if (slate.type === 'card') {
+      if (typeof slate.text !== 'string' || slate.text.length > MAX_TEXT_LENGTH) {
+        throw new Error(`text must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      for (const field of ['background', 'fontColor']) {
+        if (!COLOR_PATTERN.test(slate[field])) {
+          throw new Error(`${field} must be a color name or "#rrggbb"`);
+        }
+      }
+    } else {
+      checkMedia(slate.source, 'source');
+    }
+    if (slate.audio !== undefined) {
+      checkMedia(slate.audio, 'audio');
+    }
+    return slate;
+  } catch (error) {
+    throw new Error(`Slate: ${error.message}`);
+  }
+}
+
+class Slate {
+  // `write(chunk)` sends slate output to the destinations; `offsetArgs()`
+  // returns the timestamp offset that continues the primary's timeline.
+  constructor(definition, { id, encoding, write, offsetArgs }) {
+    this.definition = definition;
+    this.id = id;
+    this.encoding = encoding;
+    this.write = write;
+    this.offsetArgs = offsetArgs;
+    this.process = null;
+    this.restartTimer = null;
+    this.onAir = false;
+    this.since = null;
+    this.reason = null;
+    this.switches = 0;
+    this.history = [];
+  }
+
+  get enabled() {
+    return !!this.definition;
+  }
+
+  // Put the slate on air (no-op when it already is)
+  show(reason) {
+    if (!this.enabled || this.onAir) return;
+    console.warn(`[${this.id}] Primary source down (${reason}), switching to the fallback slate`);
+    this.onAir = true;
+    this.since = new Date().toISOString();
+    this.reason = reason;
+    this.record('slate', reason);
+    this.spawn();
+  }
+
+  // Back to the primary source
+  hide(reason) {
+    if (!this.onAir) return;
+    console.log(`[${this.id}] ${reason}, switching back from the fallback slate`);
+    this.kill();
+    this.since = new Date().toISOString();
+    this.reason = reason;
+    this.record('primary', reason);
+  }
+
+  // Stream stopped: kill the slate encoder without recording a switch
+  stop() {
+    this.kill();
+    this.since = null;
+    this.reason = null;
+    fs.rmSync(this.textFile(), { force: true });
+  }
+
+  kill() {
+    this.onAir = false;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    if (this.process) {
+      const slateProcess = this.process;
+      this.process = null;
+      slateProcess.kill('SIGTERM');
+    }
+  }
+
+  record(to, reason) {
+    this.switches++;
+    this.history.push({ at: this.since, to, reason });
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+  }
+
+  textFile() {
+    return path.join(SLATE_DIR, `${this.id}.txt`);
+  }
+
+  // Input and filter arguments for the slate type. Every input is read in
+  // real time (-re), like a live source.
+  sourceArgs() {
+    const { type, source, audio } = this.definition;
+    const encoding = this.encoding;
+    const args = [];
+    const maps = [];
+    let audioInput = null;
+
+    if (encoding.video) {
+      if (type === 'card') {
+        const size = `${encoding.width}x${outputHeight(encoding)}`;
+        args.push('-re', '-f', 'lavfi', '-i', `color=c=${this.definition.background}:s=${size}:r=${encoding.fps}`);
+      } else if (type === 'image') {
+        args.push('-re', '-loop', '1', '-framerate', encoding.fps.toString(), '-i', source);
+      } else {
+        args.push('-re', '-stream_loop', '-1', '-i', source);
+        audioInput = audio ? null : '0:a?'; // The clip's own audio
+      }
+      maps.push('-map', '0:v');
+    } else if (type === 'clip' && !audio) {
+      args.push('-re', '-stream_loop', '-1', '-i', source);
+      audioInput = '0:a?';
+    }
+
+    if (!audioInput) {
+      const index = encoding.video ? 1 : 0;
+      if (audio) {
+        args.push('-re', '-stream_loop', '-1', '-i', audio);
+      } else {
+        args.push('-re', '-f', 'lavfi', '-i', `anullsrc=r=${encoding.audioRate}:cl=stereo`);
+      }
+      audioInput = `${index}:a`;
+    }
+    maps.push('-map', audioInput);
+
+    if (encoding.video) {
+      const filters = type === 'card' ? [this.cardFilter()] : [`fps=${encoding.fps}`, scaleFilter(encoding)];
+      args.push('-vf', `${filters.join(',')},format=yuv420p`);
+    }
+    return [...args, ...maps];
+  }
+
+  // The card text is read from a file, which avoids filter graph escaping
+  cardFilter() {
+    const options = [
+      SLATE_FONT_FILE ? `fontfile='${SLATE_FONT_FILE}'` : "font='Sans'",
+      `textfile='${this.textFile()}'`,
+      'expansion=none',
+      `fontsize=${Math.round(outputHeight(this.encoding) / 12)}`,
+      `fontcolor=${this.definition.fontColor}`,
+      "x='(w-tw)/2'",
+      "y='(h-th)/2'"
+    ];
+    return `drawtext=${options.join(':')}`;
+  }
+
+  spawn() {
+    if (this.definition.type === 'card' && this.encoding.video) {
+      fs.mkdirSync(SLATE_DIR, { recursive: true });
+      fs.writeFileSync(this.textFile(), this.definition.text);
+    }
+
+    const ffmpegArgs = [
+      ...this.sourceArgs(),
+      ...videoEncodeArgs(this.encoding),
+      ...audioEncodeArgs(this.encoding),
+      ...this.offsetArgs(), // Continue the primary's timestamps
+      '-f', 'mpegts',
+      '-muxdelay', '0',
+      '-flush_packets', '1',
+      'pipe:1'
+    ];
+    console.log(`[${this.id}/slate] FFmpeg command: ` + ffmpegPath + ' ' + ffmpegArgs.join(' '));
+
+    const slateProcess = spawn(ffmpegPath, ffmpegArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
+    this.process = slateProcess;
+
+    const align = packetAligner();
+    slateProcess.stdout.on('data', (data) => {
+      const chunk = align(data);
+      if (chunk && this.process === slateProcess) {
+        this.write(chunk);
+      }
+    });
+    slateProcess.stderr.on('data', (data) => {
+      const output = data.toString();
+      if (output.includes('error') || output.includes('Error')) {
+        console.error(`[${this.id}/slate] FFmpeg error:`, output);
+      }
+    });
+
+    // The slate stays on air until the primary is back: restart it if it dies
+    let exited = false;
+    const handleExit = (reason) => {
+      if (exited) return;
+      exited = true;
+      if (this.process !== slateProcess) return;
+      this.process = null;
+      console.error(`[${this.id}/slate] ${reason}, restarting in ${SLATE_RESTART_DELAY_MS}ms`);
+      this.restartTimer = setTimeout(() => {
+        this.restartTimer = null;
+        if (this.onAir) this.spawn();
+      }, SLATE_RESTART_DELAY_MS);
+    };
+    slateProcess.on('error', (error) => handleExit(`FFmpeg process error: ${error.message}`));
+    slateProcess.on('exit', (code) => handleExit(`FFmpeg exited with code ${code}`));
+  }
+
+  getStatus() {
+    if (!this.enabled) {
+      return { enabled: false };
+    }
+    return {
+      enabled: true,
+      type: this.definition.type,
+      onAir: this.onAir,
+      since: this.since,
+      reason: this.reason,
+      switches: this.switches,
+      history: this.history
+    };
+  }
+}
+
+module.exports = {
+  parseSlate,
+  Slate
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+// Desired state of the streams, kept in a JSON file so a restarted process
+// (Railway redeploy, crash) brings back the streams started through the API.
+// Each stream is saved with the definition it was started with and whether
+// it should be running; only the API changes that (a stream that stops on its
+// own, or because the process shuts down, is still meant to be running).
+// The file also records the process lifecycle, which tells a crash from a
+// deploy: a clean shutdown writes `stoppedAt`, a crash does not.
+//
+// {
+//   "version": 1,
+//   "process": { "startedAt": "...", "stoppedAt": "...", "signal": "SIGTERM" },
+//   "streams": { "<id>": { "definition": {...}, "desired": "running", "updatedAt": "..." } }
+// }
+//
+// The definitions carry the stream keys: the file is written owner-only.
+const STATE_FILE = process.env.STATE_FILE === 'off' ? null : path.resolve(process.env.STATE_FILE || 'state/streams.json');
+const STATE_VERSION = 1;
+
+let state = { version: STATE_VERSION, process: null, streams: {} };
+let previousShutdown = null;
+
+// Write to a temporary file and rename it, so a crash mid-write never leaves
+// a truncated state file behind
+function save() {
+  if (!STATE_FILE) return;
+  try {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+    const temporary = `${STATE_FILE}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(state, null, 2), { mode: 0o600 });
+    fs.renameSync(temporary, STATE_FILE);
+  } catch (error) {
+    console.error(`Cannot save state to ${STATE_FILE}: ${error.message}`);
+  }
+}
+
+// Read the state left by the previous process and record this one's start.
+// An unreadable file is set aside (never overwritten) and the state starts empty.
+function loadState() {
+  if (!STATE_FILE) return;
+  if (fs.existsSync(STATE_FILE)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      if (saved.version !== STATE_VERSION || !saved.streams || typeof saved.streams !== 'object') {
+        throw new Error(`unsupported state version ${saved.version}`);
+      }
+      state.streams = saved.streams;
+      if (saved.process) {
+        previousShutdown = { ...saved.process, clean: !!saved.process.stoppedAt };
+      }
+    } catch (error) {
+      const aside = `${STATE_FILE}.invalid-${Date.now()}`;
+      try {
+        fs.renameSync(STATE_FILE, aside);
+        console.error(`Invalid state file ${STATE_FILE} (${error.message}), moved to ${aside}`);
+      } catch (renameError) {
+        // Read-only directory: carry on with an empty state all the same
+        console.error(`Invalid state file ${STATE_FILE} (${error.message}), cannot move it aside: ${renameError.message}`);
+      }
+    }
+  }
+  state.process = { startedAt: new Date().toISOString(), stoppedAt: null, signal: null };
+  save();
+}
+
+// Saved streams that should be running, in the order they were saved
+function runningStreams() {
+  return Object.entries(state.streams)
+    .filter(([, entry]) => entry.desired === 'running')
+    .map(([id, entry]) => ({ id, definition: entry.definition }));
+}
+
+function savedStream(id) {
+  return state.streams[id] || null;
+}
+
+function saveStream(id, definition) {
+  state.streams[id] = { definition, desired: 'running', updatedAt: new Date().toISOString() };
+  save();
+}
+
+function setDesiredState(id, desired) {
+  const entry = state.streams[id];
+  if (!entry || entry.desired === desired) return;
+  entry.desired = desired;
+  entry.updatedAt = new Date().toISOString();
+  save();
+}
+
+function forgetStream(id) {
+  if (!state.streams[id]) return;
+  delete state.streams[id];
+  save();
+}
+
+// Graceful shutdown (SIGTERM from a deploy, SIGINT): the next process will
+// not mistake it for a crash
+function recordShutdown(signal) {
+  if (!state.process) return;
+  state.process.stoppedAt = new Date().toISOString();
+  state.process.signal = signal;
+  save();
+}
+
+function getStateStatus() {
+  return {
+    file: STATE_FILE,
+    streams: Object.keys(state.streams).length,
+    previousShutdown
+  };
+}
+
+module.exports = {
+  STATE_FILE,
+  loadState,
+  runningStreams,
+  savedStream,
+  saveStream,
+  setDesiredState,
+  forgetStream,
+  recordShutdown,
+  getStateStatus
+};
@@ -0,0 +1,358 @@
+// Scriptable page interaction. A stream can list the steps to run on its page
+// after the initial navigation (and again on every page relaunch), e.g. accept
+// a cookie banner, log in, pick an item in a dropdown, then click play. Steps
+// can also be sent to a running stream's page.
+//
+// Every step is { type, timeout?, optional?, ...params }. A failing required
+// step aborts the run, a failing optional step is logged and skipped.
+const DEFAULT_STEP_TIMEOUT = 10000;
+const MAX_STEP_TIMEOUT = 120000;
+const MAX_STEPS = 50;
+const MAX_RESULT_LENGTH = 200; // Characters of evaluate() results kept in the log
+
+// Helper function to replace deprecated waitForTimeout
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Try to click the play button with multiple strategies.
+// Resolves with the strategy that worked: 'selector', 'text' or 'body'.
+async function clickPlayButton(page, playButtonSelector) {
+  // Split selector string and try each one
+  const selectors = playButtonSelector.split(',').map(s => s.trim());
+
+  for (const selector of selectors) {
+    try {
+      console.log(`Trying selector: ${selector}`);
+      await page.waitForSelector(selector, { timeout: 5000 });
+      await page.click(selector);
+      console.log(`Play button clicked successfully with selector: ${selector}`);
+      await wait(1000); // Wait for audio to start
+      return 'selector';
+    } catch (error) {
+      console.log(`Selector "${selector}" not found, trying next...`);
+      continue;
+    }
+  }
+
+  // If no selector worked, try alternative methods
+  console.log('No play button found with selectors, trying alternative methods...');
+
+  // Try to find any button with "play" in text or aria-label
+  try {
+    const playButton = await page.evaluate(() => {
+      // Try to find button by text content
+      const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+      for (const btn of buttons) {
+        const text = btn.textContent?.toLowerCase() || '';
+        const ariaLabel = btn.getAttribute('aria-label')?.toLowerCase() || '';
+        if (text.includes('play') || ariaLabel.includes('play')) {
+          return true;
+        }
+      }
+      return false;
+    });
+
+    if (playButton) {
+      await page.evaluate(() => {
+        const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+        for (const btn of buttons) {
+          const text = btn.textContent?.toLowerCase() || '';
+          const ariaLabel = btn.getAttribute('aria-label')?.toLowerCase() || '';
+          if (text.includes('play') || ariaLabel.includes('play')) {
+            btn.click();
+            return;
+          }
+        }
+      });
+      console.log('Play button clicked via JavaScript evaluation');
+      await wait(1000);
+      return 'text';
+    }
+
+    // Last resort: click on body to enable autoplay
+    console.log('Clicking on body to enable autoplay...');
+    await page.evaluate(() => {
+      document.body.click();
+      // Also try to trigger any audio context
+      if (window.AudioContext || window.webkitAudioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const context = new AudioContextClass();
+        context.resume();
+      }
+    });
+    await wait(1000);
+    return 'body';
+  } catch (error) {
+    console.warn('Alternative play button methods failed:', error.message);
+    return null;
+  }
+}
+
+// Which of the play selectors are on the page, without clicking anything.
+// Polled for up to `timeout` ms until one of them shows up. Used by source
+// probes to tell which selector a stream would click.
+async function findPlaySelectors(page, playButtonSelector, timeout = 5000) {
+  const selectors = playButtonSelector.split(',').map(s => s.trim()).filter(Boolean);
+  const deadline = Date.now() + timeout;
+  let results;
+  do {
+    results = [];
+    for (const selector of selectors) {
+      try {
+        const element = await page.$(selector);
+        results.push({ selector, found: !!element, visible: !!(element && await element.boundingBox()) });
+        if (element) {
+          await element.dispose();
+        }
+      } catch (error) {
+        // e.g. `button:has-text("Play")` is not valid CSS
+        results.push({ selector, found: false, visible: false, error: error.message });
+      }
+    }
+    if (results.some(result => result.found)) break;
+    await wait(500);
+  } while (Date.now() < deadline);
+  return results;
+}
+
+function requireString(step, field) {
+  if (typeof step[field] !== 'string' || !step[field]) {
+    throw new Error(`"${step.type}" step needs a "${field}" string`);
+  }
+}
+
+// Per-type parameter checks, and the action itself.
+// Actions receive (page, step, context) and may resolve with a result for the log.
+const STEP_TYPES = {
+  goto: {
+    validate: (step) => {
+      requireString(step, 'url');
+      if (!/^https?:\/\//i.test(step.url)) {
+        throw new Error('"goto" step url must be http:// or https://');
+      }
+    },
+    run: (page, step) => page.goto(step.url, {
+      waitUntil: step.waitUntil || 'networkidle2',
+      timeout: step.timeout
+    }).then(() => undefined)
+  },
+  waitForSelector: {
+    validate: (step) => requireString(step, 'selector'),
+    run: (page, step) => page.waitForSelector(step.selector, {
+      visible: !!step.visible,
+      timeout: step.timeout
+    }).then(() => undefined)
+  },
+  click: {
+    validate: (step) => requireString(step, 'selector'),
+    run: async (page, step) => {
+      await page.waitForSelector(step.selector, { visible: true, timeout: step.timeout });
+      await page.click(step.selector);
+    }
+  },
+  type: {
+    validate: (step) => {
+      requireString(step, 'selector');
+      if (typeof step.text !== 'string') {
+        throw new Error('"type" step needs a "text" string');
+      }
+    },
+    run: async (page, step) => {
+      await page.waitForSelector(step.selector, { visible: true, timeout: step.timeout });
+      await page.type(step.selector, step.text, { delay: step.delay || 0 });
+    }
+  },
+  press: {
+    validate: (step) => requireString(step, 'key'),
+    run: async (page, step) => {
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { timeout: step.timeout });
+        await page.focus(step.selector);
+      }
+      await page.keyboard.press(step.key);
+    }
+  },
+  scroll: {
+    validate: (step) => {
+      if (step.to !== undefined && !['top', 'bottom'].includes(step.to)) {
+        throw new Error('"scroll" step "to" must be "top" or "bottom"');
+      }
+      if (!step.selector && step.to === undefined && step.x === undefined && step.y === undefined) {
+        throw new Error('"scroll" step needs a "selector", "to", or "x"/"y" offsets');
+      }
+    },
+    run: async (page, step) => {
+      if (step.selector) {
+        await page.waitForSelector(step.selector, { timeout: step.timeout });
+        await page.$eval(step.selector, el => el.scrollIntoView({ block: 'center' }));
+      } else if (step.to) {
+        await page.evaluate((to) => window.scrollTo(0, to === 'top' ? 0 : document.body.scrollHeight), step.to);
+      } else {
+        await page.evaluate((x, y) => window.scrollBy(x, y), Number(step.x) || 0, Number(step.y) || 0);
+      }
+    }
+  },
+  wait: {
+    validate: (step) => {
+      if (!Number.isInteger(step.ms) || step.ms < 0 || step.ms > MAX_STEP_TIMEOUT) {
+        throw new Error(`"wait" step "ms" must be an integer between 0 and ${MAX_STEP_TIMEOUT}`);
+      }
+    },
+    run: (page, step) => wait(step.ms)
+  },
+  setCookies: {
+    validate: (step) => {
+      if (!Array.isArray(step.cookies) || step.cookies.some(c => !c || typeof c.name !== 'string' || c.value === undefined)) {
+        throw new Error('"setCookies" step needs a "cookies" list of { name, value }');
+      }
+    },
+    run: async (page, step) => {
+      // Cookies without url/domain apply to the page's current URL
+      const url = page.url();
+      const cookies = step.cookies.map(cookie => ({
+        ...(cookie.url || cookie.domain ? {} : { url }),
+        ...cookie,
+        value: String(cookie.value)
+      }));
+      await page.setCookie(...cookies);
+      if (step.reload) {
+        await page.reload({ waitUntil: 'networkidle2', timeout: step.timeout });
+      }
+    }
+  },
+  setLocalStorage: {
+    validate: (step) => {
+      if (!step.items || typeof step.items !== 'object' || Array.isArray(step.items)) {
+        throw new Error('"setLocalStorage" step needs an "items" object');
+      }
+    },
+    run: async (page, step) => {
+      await page.evaluate((items) => {
+        for (const [key, value] of Object.entries(items)) {
+          localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+        }
+      }, step.items);
+      if (step.reload) {
+        await page.reload({ waitUntil: 'networkidle2', timeout: step.timeout });
+      }
+    }
+  },
+  evaluate: {
+    validate: (step) => requireString(step, 'expression'),
+    run: async (page, step) => {
+      const result = await page.evaluate(step.expression);
+      if (result === undefined) return undefined;
+      const text = JSON.stringify(result);
+      return text && text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}...` : text;
+    }
+  },
+  // The original play-button heuristics: selector list, then a text/aria-label
+  // "play" scan, then a body click. Uses the stream's playButtonSelector by default.
+  clickPlay: {
+    defaultTimeout: 60000, // Each selector of the list is waited for up to 5s
+    validate: (step) => {
+      if (step.selector !== undefined) requireString(step, 'selector');
+    },
+    run: (page, step, context) => clickPlayButton(page, step.selector || context.playButtonSelector)
+  }
+};
+
+// Steps used when a web page stream defines none: what the app always did
+function defaultSteps() {
+  return parseSteps([
+    { type: 'wait', ms: 3000 }, // Wait a bit for page to load
+    { type: 'clickPlay', optional: true }
+  ]);
+}
+
+// Validate a list of steps (from the API or env) and fill in defaults.
+// Throws an Error with a user-facing message on invalid input.
+function parseSteps(input) {
+  if (!Array.isArray(input)) {
+    throw new Error('steps must be a list');
+  }
+  if (input.length > MAX_STEPS) {
+    throw new Error(`At most ${MAX_STEPS} steps are allowed`);
+  }
+
+  return input.map((raw, index) => {
+    try {
+      if (!raw || typeof raw !== 'object') {
+        throw new Error('must be an object');
+      }
+      if (!STEP_TYPES[raw.type]) {
+        throw new Error(`unknown type "${raw.type}" (expected one of: ${Object.keys(STEP_TYPES).join(', ')})`);
+      }
+      const step = {
+        ...raw,
+        timeout: raw.timeout === undefined ? STEP_TYPES[raw.type].defaultTimeout || DEFAULT_STEP_TIMEOUT : raw.timeout,
+        optional: !!raw.optional
+      };
+      if (!Number.isInteger(step.timeout) || step.timeout < 1 || step.timeout > MAX_STEP_TIMEOUT) {
+        throw new Error(`timeout must be an integer between 1 and ${MAX_STEP_TIMEOUT} ms`);
+      }
+      STEP_TYPES[step.type].validate(step);
+      return step;
+    } catch (error) {
+      throw new Error(`Step ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run the steps in order and resolve with the step log. A failing required
+// step rejects with an Error whose `steps` property holds the log so far.
+async function runSteps(page, steps, context = {}) {
+  const prefix = context.id ? `[${context.id}] ` : '';
+  const log = [];
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    const entry = { step: index + 1, type: step.type, status: 'ok', durationMs: 0 };
+    const startedAt = Date.now();
+    log.push(entry);
+
+    try {
+      // `wait` steps manage their own duration, everything else gets the step timeout
+      const action = STEP_TYPES[step.type].run(page, step, context);
+      const result = await (step.type === 'wait' ? action : withTimeout(action, step.timeout));
+      if (result !== undefined && result !== null) {
+        entry.result = result;
+      }
+      console.log(`${prefix}Step ${index + 1} (${step.type}) done`);
+    } catch (error) {
+      entry.error = error.message;
+      if (step.optional) {
+        entry.status = 'skipped';
+        console.warn(`${prefix}Optional step ${index + 1} (${step.type}) failed, continuing: ${error.message}`);
+      } else {
+        entry.status = 'failed';
+        entry.durationMs = Date.now() - startedAt;
+        console.error(`${prefix}Step ${index + 1} (${step.type}) failed: ${error.message}`);
+        const failure = new Error(`Step ${index + 1} (${step.type}) failed: ${error.message}`);
+        failure.steps = log;
+        throw failure;
+      }
+    }
+    entry.durationMs = Date.now() - startedAt;
+  }
+
+  return log;
+}
+
+module.exports = {
+  STEP_TYPES,
+  clickPlayButton,
+  findPlaySelectors,
+  defaultSteps,
+  parseSteps,
+  runSteps
+};
@@ -0,0 +1,1773 @@
+const { spawn, execSync } = require('child_process');
+const path = require('path');
+const { ffmpegPath } = require('./ffmpeg');
+const { AUDIO_SAMPLE_RATE, AUDIO_CHANNELS, createSink, removeSink, AudioPump } = require('./audio');
+const { parseDestinations, DestinationSet } = require('./destinations');
+const { Supervisor } = require('./supervisor');
+const { openPage, openDisplayPage, closePage, getWindowSize } = require('./browser');
+const { resolveEncoding, scaleFilter, videoEncodeArgs, audioEncodeArgs, screencastOptions } = require('./encoding');
+const { defaultSteps, parseSteps, runSteps } = require('./steps');
+const { PageWatchdog } = require('./watchdog');
+const { parseOverlays, OverlaySet } = require('./overlays');
+const { parsePlaylist, Playlist } = require('./playlist');
+const { parseComposition, parseLayout, parseAudio, compositionFilters } = require('./composition');
+const { parseSlate, Slate } = require('./slate');
+const { parseRecording, Recorder } = require('./recorder');
+const { Preview, snapshotFromSegment } = require('./preview');
+const { ENCODER_PROGRESS_ARGS, ENCODER_STDIO, EncoderMetrics } = require('./metrics');
+const { emitEvent } = require('./events');
+const { FramePacer } = require('./pacer');
+const { parseCaptureBackend, resolveCaptureBackend, VirtualDisplay } = require('./xvfb');
+const { AdaptiveQuality } = require('./adaptive');
+const { packetAligner } = require('./mpegts');
+
+const STREAM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_AUDIO_BUFFER_MS = 1000; // Maximum captured audio held in memory
+const FRAME_DROP_INTERVAL_MS = 10000; // At most one frames.dropped event per stream in this window
+const MAX_ERROR_HISTORY = 20; // Errors kept for /status
+
+// Silence generated inside FFmpeg
+function silentAudioArgs(encoding) {
+  return ['-f', 'lavfi', '-i', `anullsrc=channel_layout=stereo:sample_rate=${encoding.audioRate}`];
+}
+
+// Input options for a direct (FFmpeg-readable) source
+function directInputArgs(url) {
+  return [
+    '-re', // Read input at native frame rate
+    '-rtsp_transport', 'tcp', // Use TCP for RTSP if applicable
+    '-fflags', 'nobuffer', // Reduce buffering
+    '-flags', 'low_delay', // Low latency
+    '-strict', 'experimental',
+    '-i', url // Input source
+  ];
+}
+
+// Stop a process and resolve once it has exited (SIGKILL after 1s if it
+// ignores SIGTERM)
+function stopProcess(child) {
+  return new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      resolve();
+      return;
+    }
+    child.once('exit', () => resolve());
+    child.kill('SIGTERM');
+    setTimeout(() => {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGKILL');
+      }
+    }, 1000);
+  });
+}
+
+// Helper function to replace deprecated waitForTimeout
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Validate a stream definition (from the API or env) and fill in defaults.
+// Throws an Error with a user-facing message on invalid input.
+function buildStreamConfig(input, defaults) {
+  const config = {
+    id: input.id || defaults.id,
+    url: input.url || null,
+    webPageUrl: input.webPageUrl || null,
+    playButtonSelector: input.playButtonSelector || defaults.playButtonSelector,
+    destinations: input.destinations ? parseDestinations(input.destinations) : defaults.destinations,
+    // Top-level `fps` is kept for compatibility with the original API
+    encoding: resolveEncoding({ fps: input.fps, ...input.encoding }, defaults.encoding),
+    steps: input.steps !== undefined ? parseSteps(input.steps) : defaults.steps || null,
+    overlays: input.overlays !== undefined ? parseOverlays(input.overlays) : defaults.overlays || [],
+    playlist: input.playlist ? parsePlaylist(input.playlist) : null,
+    composition: input.composition ? parseComposition(input.composition) : null,
+    slate: input.slate !== undefined ? parseSlate(input.slate) : defaults.slate || null,
+    recording: input.recording !== undefined ? parseRecording(input.recording) : defaults.recording || null,
+    capture: input.capture !== undefined ? parseCaptureBackend(input.capture) : defaults.capture || 'screencast',
+    adaptive: input.adaptive !== undefined ? input.adaptive : !!defaults.adaptive
+  };
+
+  if (typeof config.id !== 'string' || !STREAM_ID_PATTERN.test(config.id)) {
+    throw new Error('Stream id must be 1-64 letters, digits, "-" or "_"');
+  }
+  if (config.playlist && (config.url || config.webPageUrl)) {
+    throw new Error('Use either a playlist or a Source URL / Web Page URL');
+  }
+  if (config.composition && (config.url || config.webPageUrl || config.playlist)) {
+    throw new Error('Use either a composition or a Source URL / Web Page URL / playlist');
+  }
+  if (!config.url && !config.webPageUrl && !config.playlist && !config.composition) {
+    throw new Error('Source URL, Web Page URL, playlist or composition is required');
+  }
+  if (config.composition && !config.encoding.video) {
+    throw new Error(`Preset "${config.encoding.preset}" has no video, compositions are not available`);
+  }
+  if (input.capture !== undefined && !config.webPageUrl && !config.playlist) {
+    throw new Error('capture only applies to web page streams and playlists');
+  }
+  if (typeof config.adaptive !== 'boolean') {
+    throw new Error('adaptive must be true or false');
+  }
+  if (input.adaptive === true && config.composition) {
+    throw new Error('Adaptive quality is not available for compositions');
+  }
+  if (input.adaptive === true && !config.encoding.video) {
+    throw new Error(`Preset "${config.encoding.preset}" has no video, adaptive quality is not available`);
+  }
+  if (input.steps !== undefined && !config.webPageUrl) {
+    throw new Error('steps only apply to web page streams');
+  }
+  if (config.overlays.length > 0 && !config.encoding.video) {
+    throw new Error(`Preset "${config.encoding.preset}" has no video, overlays are not available`);
+  }
+  return config;
+}
+
+// The source fields of a stream definition or playlist entry
+function sourceOf(definition, defaults) {
+  return {
+    url: definition.url || definition.file || null,
+    webPageUrl: definition.webPageUrl || null,
+    playButtonSelector: definition.playButtonSelector || defaults.playButtonSelector,
+    steps: definition.steps || null
+  };
+}
+
+// A single stream: one source (direct URL or web page) or a playlist of
+// sources, its encoder, the destination relays and the supervisor that keeps
+// them running.
+class Stream {
+  // `silent` keeps the stream's events to itself (only stream.error is
+  // recorded, in this.errors): dry runs must not reach webhooks or /events
+  constructor(config, { silent = false } = {}) {
+    this.id = config.id;
+    this.config = config;
+    this.silent = silent;
+    this.source = sourceOf(config, config); // What is being captured right now
+    this.playlist = null; // Playlist driving this.source, if any
+    this.currentStream = null; // Encoder for direct URL sources
+    this.captureProcess = null; // Encoder for web page sources
+    this.captureState = null;
+    this.compositionState = null; // Pages, pacers and encoder of a composition
+    this.browser = null; // Browser the page belongs to
+    this.audioSink = null; // PulseAudio sink of the stream's page(s), null: silence
+    this.page = null;
+    this.destinations = null; // DestinationSet fed by the encoder's MPEG-TS output
+    this.supervisor = null; // Restarts the failed part of the pipeline with backoff
+    this.status = { active: false, error: null };
+    this.startedAt = null;
+    this.onBrowserDisconnected = null;
+    this.stepLog = []; // Result of the last page steps run
+    this.overlays = new OverlaySet(config.overlays, this.id); // Text files are (re)written on start
+    // Web page capture backend: CDP screencast, or x11grab of an Xvfb display
+    // when requested and available (see lib/xvfb.js). Compositions always
+    // use the screencast.
+    this.capture = resolveCaptureBackend(config.capture || 'screencast', this.id);
+    this.display = null; // Xvfb display of the x11grab backend, kept across page relaunches
+    // Reloads or replaces a crashed, hung, stalled or navigated-away page
+    this.watchdog = new PageWatchdog({
+      id: this.id,
+      // x11grab frames never go through Node, FFmpeg's own progress covers them
+      expectFrames: config.encoding.video && this.capture.backend === 'screencast',
+      getLastFrameAt: () => this.captureState && this.captureState.lastFrameAt,
+      onFailure: (reason) => this.recoverPage(reason)
+    });
+    this.metrics = new EncoderMetrics(); // Progress of the current encoder
+    this.recorder = new Recorder(this.id); // Local copy of what goes to air
+    this.preview = new Preview(this.id, () => this.config.encoding); // HLS monitoring, started on demand
+    this.slate = new Slate(config.slate, {
+      id: this.id,
+      encoding: config.encoding,
+      write: (chunk) => this.sendOutput(chunk),
+      offsetArgs: () => this.timestampOffsetArgs()
+    });
+    // Screencast frames and pacer ticks, across page relaunches
+    this.captureCounters = { framesSent: 0, framesDropped: 0, framesDuplicated: 0, ticksSkipped: 0 };
+    this.dropReport = { at: 0, total: 0 }; // Last frames.dropped event
+    this.errors = []; // Last stream.error events, newest last
+    this.encoderBackpressure = 0; // Frames not written because the encoder had not drained
+    // Steps the encoding down under CPU or uplink pressure, and back up. It
+    // replaces config.encoding while the stream runs.
+    this.adaptive = new AdaptiveQuality({
+      id: this.id,
+      encoding: config.encoding,
+      enabled: config.adaptive && !config.composition,
+      sample: () => this.encoderReading(),
+      apply: (encoding) => this.applyEncoding(encoding),
+      onChange: (change) => this.emit('quality.changed', {
+        from: change.from,
+        to: change.to,
+        direction: change.direction,
+        encoding: change.encoding,
+        reasons: change.reasons
+      })
+    });
+  }
+
+  get type() {
+    if (this.config.composition) return 'composition';
+    return this.source.webPageUrl ? 'webpage' : 'direct';
+  }
+
+  async start() {
+    this.overlays.prepare();
+    if (this.config.playlist) {
+      await this.startPlaylist();
+    } else if (this.type === 'composition') {
+      await this.startComposition();
+    } else if (this.type === 'webpage') {
+      await this.startWebPageStream();
+    } else {
+      this.startStream();
+    }
+    // A playlist may already have ended meanwhile (every entry failed)
+    if (!this.status.active) {
+      throw new Error(this.status.error || 'Stream stopped while starting');
+    }
+    this.adaptive.start();
+    this.emit('stream.started', {
+      type: this.config.playlist ? 'playlist' : this.type,
+      source: this.source.webPageUrl || this.source.url,
+      destinations: this.config.destinations.length
+    });
+  }
+
+  emit(type, data) {
+    const event = this.silent
+      ? { type, at: new Date().toISOString(), stream: this.id, data }
+      : emitEvent(type, this.id, data);
+    if (type === 'stream.error') {
+      this.errors.push({ at: event.at, reason: data.reason, fatal: data.fatal });
+      if (this.errors.length > MAX_ERROR_HISTORY) {
+        this.errors.shift();
+      }
+    }
+  }
+
+  async startWebPageStream() {
+    const { destinations, encoding } = this.config;
+    const { webPageUrl, playButtonSelector } = this.source;
+    console.log(`[${this.id}] Starting web page stream from ${webPageUrl} to ${destinations.length} destination(s) (encoding: ${encoding.preset})`);
+    console.log(`[${this.id}] Looking for play button with selector: ${playButtonSelector}`);
+
+    this.status.active = true;
+    this.status.error = null;
+    this.startedAt = new Date().toISOString();
+    this.resetMetrics();
+
+    this.watchdog.reset();
+    this.startDestinations();
+    this.startSupervisor();
+
+    try {
+      await this.launchWebPage();
+    } catch (error) {
+      console.error(`[${this.id}] Error setting up web page stream:`, error);
+      await this.stop(error.message);
+      throw error;
+    }
+  }
+
+  // Restart whatever failed in the current source's pipeline
+  async restartSource() {
+    if (this.type === 'composition') {
+      const state = this.compositionState;
+      // Respawn only FFmpeg while every page is alive, relaunch them all otherwise
+      if (state && state.isCapturing && state.inputs.every(entry => !entry.page || !entry.page.isClosed())) {
+        state.spawnEncoder();
+      } else {
+        await this.closeComposition();
+        await this.launchComposition();
+      }
+    } else if (this.type === 'direct') {
+      this.spawnStreamEncoder();
+    } else if (this.page && !this.page.isClosed() && this.captureState) {
+      // Respawn only FFmpeg while the page is alive, relaunch the page otherwise
+      this.captureState.spawnEncoder();
+    } else {
+      await this.launchWebPage();
+    }
+  }
+
+  async startPlaylist() {
+    const { destinations, encoding } = this.config;
+    console.log(`[${this.id}] Starting playlist stream to ${destinations.length} destination(s) (encoding: ${encoding.preset})`);
+
+    this.status.active = true;
+    this.status.error = null;
+    this.startedAt = new Date().toISOString();
+    this.resetMetrics();
+    this.watchdog.reset();
+    this.startDestinations();
+
+    this.playlist = new Playlist(this.config.playlist, {
+      id: this.id,
+      play: (entry) => this.switchSource(entry),
+      idle: () => this.idleSource(),
+      end: (error) => this.stop(error)
+    });
+    await this.playlist.start();
+  }
+
+  // Swap the encoder input for a playlist entry. The destination relays are
+  // not touched, so the RTMP sessions stay up; the new encoder continues the
+  // timestamps where the previous one stopped.
+  async switchSource(entry) {
+    if (!this.status.active) return;
+    console.log(`[${this.id}] Switching source to ${entry.webPageUrl || entry.url || entry.file}`);
+
+    // Stop the current source (a stopped encoder's exit is ignored)
+    this.teardownCapture();
+    if (this.currentStream) {
+      const encoder = this.currentStream;
+      this.currentStream = null;
+      encoder.kill('SIGTERM');
+    }
+    const oldPage = this.page;
+    this.detachBrowser();
+    this.page = null;
+
+    this.source = sourceOf(entry, this.config);
+    // Restart attempts are counted per entry; an entry that keeps failing is skipped
+    this.startSupervisor((reason) => this.playlist.sourceFailed(reason));
+
+    try {
+      if (this.type === 'webpage') {
+        // The new page is opened before the old one is closed, so the stream's browser stays up
+        await this.launchWebPage();
+      } else {
+        this.spawnStreamEncoder();
+      }
+    } finally {
+      await closePage(oldPage);
+      if (!this.usesX11grab) {
+        this.stopDisplay();
+      }
+    }
+  }
+
+  // Playlist between two schedule slots: stop the current source and show the
+  // slate (if any) until the next slot opens. The destinations stay connected.
+  async idleSource() {
+    if (!this.status.active) return;
+    // A pending restart must not bring the last source back
+    if (this.supervisor) {
+      this.supervisor.stop();
+    }
+    this.teardownCapture();
+    if (this.currentStream) {
+      const encoder = this.currentStream;
+      this.currentStream = null;
+      encoder.kill('SIGTERM');
+    }
+    await this.closePage();
+    this.stopDisplay();
+    this.slate.show('Waiting for the next schedule slot');
+  }
+
+  // Open the page in the stream's browser, click play and start capturing.
+  // Used for the initial start and when the supervisor relaunches the page.
+  async launchWebPage() {
+    this.stepLog = [];
+
+    try {
+      const opened = await this.openStreamPage();
+      this.attachBrowser(opened.browser);
+      this.page = opened.page;
+
+      await this.preparePage(this.page);
+
+      console.log(`[${this.id}] Starting screen capture via ${this.usesX11grab ? `x11grab of display ${this.display.name}` : 'CDP'}...`);
+      await this.startBrowserCapture(this.audioSink);
+
+      if (this.captureState) {
+        this.watchdog.arm(this.page, this.captureState.client);
+      }
+
+    } catch (error) {
+      this.teardownCapture();
+      await this.closePage();
+      throw error;
+    }
+  }
+
+  get usesX11grab() {
+    return this.capture.backend === 'x11grab' && this.type === 'webpage' && this.config.encoding.video;
+  }
+
+  // Open a page for this stream: a tab of the headless browser playing into
+  // the stream's sink, or for x11grab a headful browser of its own on the
+  // stream's Xvfb display. Other streams' pages never play into that sink.
+  async openStreamPage() {
+    this.audioSink = await createSink(this.id);
+    if (!this.usesX11grab) {
+      return openPage({ sink: this.audioSink });
+    }
+    if (!this.display || !this.display.running) {
+      this.display = new VirtualDisplay(this.id, getWindowSize());
+      await this.display.start();
+    }
+    return openDisplayPage(this.display.name, this.audioSink);
+  }
+
+  stopDisplay() {
+    if (this.display) {
+      this.display.stop();
+      this.display = null;
+    }
+  }
+
+  // Chrome crashed or was killed: tear the capture down and let the supervisor relaunch it
+  attachBrowser(browser) {
+    this.detachBrowser();
+    this.browser = browser;
+    this.onBrowserDisconnected = () => {
+      console.error(`[${this.id}] Browser disconnected unexpectedly`);
+      this.detachBrowser();
+      this.page = null;
+      this.teardownCapture();
+      this.failPipeline('Browser disconnected');
+    };
+    this.browser.on('disconnected', this.onBrowserDisconnected);
+  }
+
+  // Load the stream's page (or a composition input's) and run its steps
+  // (cookie banners, login, play button...)
+  async preparePage(page, source = this.source) {
+    const { webPageUrl, playButtonSelector } = source;
+
+    // Set viewport to 1920x1080 (an x11grab page fills its display instead)
+    if (!this.usesX11grab) {
+      await page.setViewport({ width: 1920, height: 1080 });
+    }
+
+    // Navigate to page
+    console.log(`[${this.id}] Navigating to ${webPageUrl}...`);
+    await page.goto(webPageUrl, {
+      waitUntil: 'networkidle2',
+      timeout: 30000
+    });
+
+    const steps = source.steps || defaultSteps();
+    console.log(`[${this.id}] Running ${steps.length} page step(s)...`);
+    try {
+      this.stepLog = await runSteps(page, steps, { id: this.id, playButtonSelector });
+      this.reportPlayClicks();
+    } catch (error) {
+      this.stepLog = error.steps || [];
+      throw error;
+    }
+  }
+
+  // Open a CDP session on the page and start the screencast on it (video
+  // only, and not when FFmpeg grabs the display)
+  async attachScreencast(page, captureState) {
+    // Get Chrome DevTools Protocol client
+    const client = await page.target().createCDPSession();
+
+    // Enable necessary domains
+    await client.send('Page.enable');
+    await client.send('Runtime.enable');
+    await client.send('DOM.enable');
+
+    captureState.client = client;
+    if (this.config.encoding.video && !captureState.display) {
+      await this.startScreencast(client, captureState);
+    }
+  }
+
+  async detachScreencast(captureState) {
+    const client = captureState.client;
+    captureState.client = null;
+    if (!client) return;
+    try {
+      if (this.config.encoding.video && !captureState.display) {
+        await client.send('Page.stopScreencast');
+      }
+      await client.detach();
+    } catch (error) {
+      // The page may already be gone
+    }
+  }
+
+  // Called by the watchdog. Reload the page (or open a fresh one) and replay
+  // its steps while the encoder keeps running and the destinations stay
+  // connected. The last frame is repeated meanwhile. `newPage` skips the
+  // reload. Resolves with the recovery record (undefined when not capturing).
+  async recoverPage(reason, { newPage = false } = {}) {
+    const captureState = this.captureState;
+    if (!captureState || !captureState.isCapturing) return;
+
+    const recovery = { at: new Date().toISOString(), reason, action: null, ok: false, error: null, durationMs: 0 };
+    const startedAt = Date.now();
+    captureState.recovering = true;
+    console.warn(`[${this.id}] Recovering page after: ${reason} (FFmpeg stays connected)`);
+    this.slate.show(`Page recovery: ${reason}`);
+
+    try {
+      await this.detachScreencast(captureState);
+      if (!newPage && this.page && !this.page.isClosed() && !this.watchdog.crashed) {
+        recovery.action = 'reload';
+        try {
+          await this.preparePage(this.page);
+        } catch (error) {
+          console.warn(`[${this.id}] Page reload failed (${error.message}), opening a new page...`);
+          recovery.action = 'new-page';
+          await this.replacePage(captureState);
+        }
+      } else {
+        recovery.action = 'new-page';
+        await this.replacePage(captureState);
+      }
+      if (!captureState.isCapturing) {
+        throw new Error('Capture stopped during recovery');
+      }
+      await this.attachScreencast(this.page, captureState);
+      recovery.ok = true;
+    } catch (error) {
+      recovery.error = error.message;
+    }
+
+    recovery.durationMs = Date.now() - startedAt;
+    captureState.recovering = false;
+    this.watchdog.recordRecovery(recovery);
+
+    // Stopped, or the browser went away meanwhile (the supervisor handles that)
+    if (captureState !== this.captureState) return recovery;
+
+    if (recovery.ok) {
+      console.log(`[${this.id}] Page recovered by ${recovery.action} in ${recovery.durationMs}ms`);
+      this.watchdog.arm(this.page, captureState.client);
+      this.slate.hide('Page recovered');
+    } else {
+      console.error(`[${this.id}] Page recovery failed: ${recovery.error}`);
+      this.teardownCapture();
+      await this.closePage();
+      this.failPipeline(`Page recovery failed: ${recovery.error}`);
+    }
+    return recovery;
+  }
+
+  // Called by the resource guard: move the page (or a composition's pages)
+  // to a fresh page - in a fresh browser once its browser was retired -
+  // and replay the steps, the destinations stay connected. Resolves with
+  // false when there was nothing to recycle, throws when it failed.
+  async recyclePage(reason) {
+    if (!this.status.active) return false;
+
+    if (this.type === 'composition') {
+      if (!this.compositionState || !this.compositionState.isCapturing) return false;
+      console.warn(`[${this.id}] Recycling the composition pages: ${reason}`);
+      this.slate.show(`Recycling: ${reason}`);
+      this.teardownCapture();
+      await this.closeComposition();
+      try {
+        await this.launchComposition();
+      } catch (error) {
+        this.failPipeline(`Recycling failed: ${error.message}`);
+        throw error;
+      }
+      this.slate.hide('Composition recycled');
+      return true;
+    }
+
+    const captureState = this.captureState;
+    if (this.type !== 'webpage' || !captureState || !captureState.isCapturing || captureState.recovering) {
+      return false;
+    }
+    console.warn(`[${this.id}] Recycling the page: ${reason}`);
+    // The watchdog must not take the page being replaced for a failure
+    this.watchdog.disarm();
+    const recovery = await this.recoverPage(`Recycling: ${reason}`, { newPage: true });
+    if (recovery && !recovery.ok) {
+      throw new Error(recovery.error);
+    }
+    return true;
+  }
+
+  // Swap the current page for a fresh one in the stream's browser. The new page
+  // is opened first so the browser is not closed with the old one.
+  async replacePage(captureState) {
+    const oldPage = this.page;
+    const opened = await this.openStreamPage();
+    if (!captureState.isCapturing) {
+      await closePage(opened.page);
+      throw new Error('Capture stopped during recovery');
+    }
+    this.attachBrowser(opened.browser);
+    this.page = opened.page;
+    await closePage(oldPage);
+    await this.preparePage(this.page);
+  }
+
+  // Run steps on the live page while it is being captured
+  async runPageSteps(steps) {
+    if (!this.page || this.page.isClosed()) {
+      throw new Error(`Stream "${this.id}" has no open page`);
+    }
+    const captureState = this.captureState;
+    if (this.watchdog.state === 'recovering' || (captureState && captureState.recovering)) {
+      throw new Error(`Stream "${this.id}" page is being recovered`);
+    }
+
+    // The steps may navigate on purpose - do not let the watchdog treat that as a failure
+    const page = this.page;
+    const watching = this.watchdog.state === 'watching';
+    this.watchdog.disarm();
+    try {
+      this.stepLog = await runSteps(page, steps, { id: this.id, playButtonSelector: this.source.playButtonSelector });
+      this.reportPlayClicks();
+    } catch (error) {
+      this.stepLog = error.steps || [];
+      throw error;
+    } finally {
+      if (watching && captureState && captureState === this.captureState && this.page === page) {
+        this.watchdog.arm(page, captureState.client);
+      }
+    }
+    return this.stepLog;
+  }
+
+  // One page.play_clicked event per successful clickPlay step of the last run
+  reportPlayClicks() {
+    for (const entry of this.stepLog) {
+      if (entry.type === 'clickPlay' && entry.status === 'ok') {
+        this.emit('page.play_clicked', { step: entry.step, strategy: entry.result });
+      }
+    }
+  }
+
+  // Whether one of the stream's pages belongs to the browser (resource guard)
+  usesBrowser(browser) {
+    if (this.browser === browser) return true;
+    const state = this.compositionState;
+    return !!state && state.inputs.some(entry => entry.browser === browser);
+  }
+
+  detachBrowser() {
+    if (this.browser && this.onBrowserDisconnected) {
+      this.browser.off('disconnected', this.onBrowserDisconnected);
+    }
+    this.browser = null;
+    this.onBrowserDisconnected = null;
+  }
+
+  async closePage() {
+    const page = this.page;
+    this.detachBrowser();
+    this.page = null;
+    await closePage(page);
+  }
+
+  async startBrowserCapture(audioSink) {
+    // Use Chrome's screencast API to capture frames
+    // We'll capture frames and pipe them to FFmpeg
+    // With x11grab, FFmpeg grabs the Xvfb display the page is shown on instead
+    // Audio comes from the PulseAudio sink Chrome plays into (see lib/audio.js)
+
+    const encoding = this.config.encoding;
+    const display = this.usesX11grab ? this.display : null;
+
+    // Store reference for cleanup (and for the supervisor to respawn the encoder)
+    const captureState = {
+      isCapturing: true,
+      display, // Grabbed by FFmpeg, no screencast and no pacer
+      pacer: encoding.video && !display ? this.createPacer() : null, // Writes the frames at a constant rate
+      lastFrame: null, // Latest screencast frame (snapshots)
+      lastFrameAt: null,
+      recovering: false,
+      client: null
+    };
+    this.captureState = captureState;
+
+    await this.attachScreencast(this.page, captureState);
+
+    // Start FFmpeg process to encode frames and stream
+    console.log(`[${this.id}] Starting FFmpeg encoding process...`);
+    console.log(`FFmpeg path: ${ffmpegPath}`);
+
+    // Spawns (or respawns) the encoder. The page and the screencast keep running
+    // while the supervisor restarts FFmpeg after a failure.
+    const spawnEncoder = () => {
+      // The current settings, adaptive quality may have changed them
+      const encoding = this.config.encoding;
+      const { pump: audioPump, args: audioInputArgs } = this.createAudioInput(audioSink);
+      captureState.audioPump = audioPump;
+
+      // Optimized configuration for RTMPS streaming
+      // Simplified approach to avoid SIGSEGV crashes
+      let videoInputArgs = [];
+      if (encoding.video && display) {
+        videoInputArgs = display.inputArgs(encoding.fps);
+      } else if (encoding.video) {
+        videoInputArgs = [
+          '-f', 'image2pipe',
+          '-vcodec', 'mjpeg',
+          '-framerate', encoding.fps.toString(),
+          '-i', '-'
+        ];
+      }
+      const ffmpegArgs = [
+        ...ENCODER_PROGRESS_ARGS, // Structured progress on fd 3 (see lib/metrics.js)
+        ...videoInputArgs,
+        ...audioInputArgs,
+        ...(encoding.video ? this.overlays.inputArgs() : []),
+        // Simplified filter chain - scale first, then overlays and format conversion
+        ...(encoding.video ? this.overlays.filterArgs({
+          baseFilters: [scaleFilter(encoding, 'fast_bilinear'), `fps=${encoding.fps}`],
+          videoInput: '0:v',
+          audioMap: '1:a',
+          firstImageInput: 2
+        }) : []),
+        ...videoEncodeArgs(encoding),
+        ...audioEncodeArgs(encoding),
+        // Encode once to MPEG-TS on stdout, the relays remux it to each destination
+        ...this.timestampOffsetArgs(),
+        '-f', 'mpegts',
+        '-muxdelay', '0',
+        '-flush_packets', '1',
+        '-loglevel', 'info',
+        'pipe:1'
+      ];
+
+      console.log(`[${this.id}] FFmpeg command:`, ffmpegPath, ffmpegArgs.join(' '));
+
+      const encoder = spawn(ffmpegPath, ffmpegArgs, { stdio: ENCODER_STDIO });
+      this.captureProcess = encoder;
+      this.attachEncoder(encoder);
+
+      // Start feeding the audio pipe - FFmpeg opens it right after probing stdin
+      if (audioPump) {
+        audioPump.start();
+      }
+
+      // Handle stdin errors to prevent EPIPE crashes
+      if (encoder.stdin) {
+        encoder.stdin.on('error', (error) => {
+          if (error.code !== 'EPIPE') {
+            console.error(`[${this.id}] FFmpeg stdin error:`, error);
+          }
+          // EPIPE is expected when FFmpeg closes, so we ignore it
+        });
+      }
+
+      // Progress goes to the metrics, only errors are logged as they happen
+      // (the last lines of stderr are logged when the encoder exits)
+      encoder.stderr.on('data', (data) => {
+        const output = data.toString();
+        if (output.includes('error') || output.includes('Error') || output.includes('failed')) {
+          console.error(`[${this.id}] FFmpeg error detected:`, output.trim());
+        }
+      });
+
+      // 'error' (spawn failure) and 'exit' can both fire - handle the failure once
+      let exited = false;
+      const handleExit = (reason) => {
+        if (exited) return;
+        exited = true;
+        if (audioPump) {
+          audioPump.stop();
+        }
+        const current = this.captureProcess === encoder;
+        if (current) {
+          this.captureProcess = null;
+        }
+        // Replaced on purpose, or the whole capture was torn down
+        if (!current || !captureState.isCapturing) return;
+        this.failPipeline(reason);
+      };
+
+      encoder.on('error', (error) => {
+        console.error(`[${this.id}] FFmpeg process error:`, error);
+        handleExit(error.message);
+      });
+
+      encoder.on('exit', (code, signal) => {
+        console.log(`[${this.id}] FFmpeg process exited with code ${code}, signal ${signal}`);
+        this.emit('ffmpeg.exit', {
+          process: 'encoder',
+          code,
+          signal,
+          expected: this.captureProcess !== encoder || !captureState.isCapturing
+        });
+        if (this.captureProcess === encoder && this.metrics.stderrTail) {
+          console.log(`[${this.id}] FFmpeg stderr output (last lines):\n${this.metrics.stderrTail}`);
+        }
+
+        if (signal === 'SIGSEGV') {
+          const errorMsg = 'FFmpeg crashed with SIGSEGV. This version of ffmpeg-static may not have proper RTMPS support compiled with OpenSSL. The build uses GnuTLS which can cause RTMPS connection issues.';
+          console.error(`[${this.id}] ${errorMsg}`);
+          handleExit(errorMsg);
+        } else {
+          handleExit(`FFmpeg exited with code ${code}${signal ? `, signal ${signal}` : ''}`);
+        }
+      });
+    };
+
+    captureState.spawnEncoder = spawnEncoder;
+    spawnEncoder();
+
+    // Wait a bit for FFmpeg to initialize and connect to RTMPS
+    console.log(`[${this.id}] Waiting for FFmpeg to initialize RTMPS connection...`);
+    await wait(2000);
+
+    if (!encoding.video) {
+      console.log(`[${this.id}] Audio-only capture started - streaming page audio to RTMPS`);
+      return;
+    }
+
+    // Frames go to whichever encoder is current, at exactly encoding.fps. The
+    // pacer keeps running across encoder restarts and page recoveries (the
+    // last picture is repeated meanwhile).
+    if (!captureState.isCapturing) return; // Torn down while FFmpeg was starting
+    if (display) {
+      console.log(`[${this.id}] Browser capture started - FFmpeg grabs display ${display.name} at ${encoding.fps} FPS`);
+      return;
+    }
+    console.log(`[${this.id}] Starting to send frames to FFmpeg at ${encoding.fps} FPS...`);
+    captureState.pacer.start();
+
+    console.log(`[${this.id}] Browser capture started - streaming frames to RTMPS`);
+  }
+
+  // FFmpeg input for the page audio. A named pipe (FIFO) is fed by a pump
+  // writing PCM at a steady real-time rate (page audio, or silence when the
+  // page is quiet), so FFmpeg never blocks waiting on the pipe. Returns the
+  // pump (not started yet, FFmpeg must open the pipe first) and the input args.
+  createAudioInput(audioSink) {
+    const audioPipePath = path.join('/tmp', `audio_${this.id}_${Date.now()}.pipe`);
+    try {
+      execSync(`mkfifo ${audioPipePath}`, { stdio: 'ignore' });
+      const pump = new AudioPump({
+        pipePath: audioPipePath,
+        sinkName: audioSink,
+        maxBufferMs: MAX_AUDIO_BUFFER_MS
+      });
+      console.log(`[${this.id}] Audio pipe created: ${audioPipePath} (source: ${pump.source})`);
+      return {
+        pump,
+        args: [
+          '-f', 's16le',
+          '-ar', AUDIO_SAMPLE_RATE.toString(),
+          '-ac', AUDIO_CHANNELS.toString(),
+          '-thread_queue_size', '1024',
+          '-i', audioPipePath
+        ]
+      };
+    } catch (error) {
+      // No FIFO support - fall back to generated silence inside FFmpeg
+      console.warn(`[${this.id}] Could not create audio pipe, using silent audio:`, error.message);
+      return { pump: null, args: silentAudioArgs(this.config.encoding) };
+    }
+  }
+
+  createPacer() {
+    return new FramePacer({
+      id: this.id,
+      fps: this.config.encoding.fps,
+      counters: this.captureCounters,
+      onDropped: (count) => this.countDroppedFrames(count),
+      write: (frame) => this.writeFrame(this.captureProcess && this.captureProcess.stdin, frame)
+    });
+  }
+
+  // Hand a frame to an encoder input pipe. Nothing is queued behind a busy or
+  // missing encoder - the pacer skips the tick.
+  writeFrame(pipe, frame) {
+    if (!pipe || pipe.destroyed) {
+      return false;
+    }
+    if (pipe.writableNeedDrain) {
+      this.encoderBackpressure++;
+      return false;
+    }
+    try {
+      pipe.write(frame);
+      return true;
+    } catch (error) {
+      // EPIPE is expected when FFmpeg closes, the exit handler restarts it
+      if (error.code !== 'EPIPE') {
+        console.error(`[${this.id}] Error writing frame to FFmpeg:`, error);
+      }
+      return false;
+    }
+  }
+
+  // Start the CDP screencast and resolve once the first frame arrived (or after 5s).
+  // Frames are handed to the capture's pacer until captureState.isCapturing
+  // turns false or the capture moves to another CDP session (page recovery).
+  async startScreencast(client, captureState) {
+    const pacer = captureState.pacer;
+    // Start screencast with JPEG format (more stable than PNG)
+    // Frame size and rate follow the encoding settings
+    await client.send('Page.startScreencast', screencastOptions(this.config.encoding));
+
+    console.log(`[${this.id}] Screencast started, waiting for first frame...`);
+
+    // Wait for first frame before starting FFmpeg
+    let firstFrameReceived = false;
+    const firstFramePromise = new Promise((resolve) => {
+      const frameHandler = async (frame) => {
+        if (!firstFrameReceived) {
+          firstFrameReceived = true;
+          try {
+            const buffer = Buffer.from(frame.data, 'base64');
+            pacer.push(buffer);
+            captureState.lastFrame = buffer;
+            captureState.lastFrameAt = Date.now();
+            await client.send('Page.screencastFrameAck', { sessionId: frame.sessionId });
+            console.log(`[${this.id}] First frame received, starting FFmpeg...`);
+            resolve();
+          } catch (error) {
+            console.error(`[${this.id}] Error processing first frame:`, error);
+            resolve(); // Continue anyway
+          }
+        }
+      };
+      client.once('Page.screencastFrame', frameHandler);
+      // Timeout after 5 seconds
+      setTimeout(() => {
+        if (!firstFrameReceived) {
+          console.warn(`[${this.id}] No frame received after 5 seconds, starting FFmpeg anyway...`);
+          resolve();
+        }
+      }, 5000);
+    });
+
+    // Listen for screencast frames
+    client.on('Page.screencastFrame', async (frame) => {
+      if (!captureState.isCapturing || captureState.client !== client) return;
+
+      try {
+        // Decode the base64 frame
+        const buffer = Buffer.from(frame.data, 'base64');
+        pacer.push(buffer);
+        captureState.lastFrame = buffer;
+        captureState.lastFrameAt = Date.now();
+
+        // Acknowledge frame
+        await client.send('Page.screencastFrameAck', { sessionId: frame.sessionId });
+      } catch (error) {
+        console.error(`[${this.id}] Error processing frame:`, error);
+      }
+    });
+
+    // Wait for first frame
+    await firstFramePromise;
+  }
+
+  async startComposition() {
+    const { destinations, encoding, composition } = this.config;
+    console.log(`[${this.id}] Starting ${composition.layout.type} composition of ${composition.inputs.length} inputs to ${destinations.length} destination(s) (encoding: ${encoding.preset})`);
+
+    this.status.active = true;
+    this.status.error = null;
+    this.startedAt = new Date().toISOString();
+    this.resetMetrics();
+
+    this.startDestinations();
+    this.startSupervisor();
+
+    try {
+      await this.launchComposition();
+    } catch (error) {
+      console.error(`[${this.id}] Error setting up composition:`, error);
+      await this.stop(error.message);
+      throw error;
+    }
+  }
+
+  // Open the composition's pages, start their screencasts and the encoder
+  // drawing every input on the layout. Used for the initial start and when
+  // the supervisor relaunches the composition.
+  async launchComposition() {
+    const { composition, encoding } = this.config;
+    const state = {
+      isCapturing: true,
+      inputs: composition.inputs.map(input => ({
+        input,
+        isCapturing: true,
+        page: null,
+        sink: null, // PulseAudio sink the page plays into, recorded when it is the audio input
+        browser: null, // Browser playing into that sink
+        onBrowserDisconnected: null,
+        client: null,
+        pacer: null, // One clock per page, each writing to its own pipe
+        fd: null, // Encoder pipe the page's frames go to
+        lastFrame: null,
+        lastFrameAt: null,
+        steps: [],
+        counters: { framesSent: 0, framesDropped: 0, framesDuplicated: 0, ticksSkipped: 0 }
+      })),
+      audioPump: null,
+      spawnEncoder: null
+    };
+    this.compositionState = state;
+    const pages = state.inputs.filter(entry => entry.input.webPageUrl);
+
+    try {
+      for (const entry of pages) {
+        await this.launchCompositionPage(state, entry);
+      }
+    } catch (error) {
+      this.teardownCapture();
+      await this.closeComposition(state);
+      throw error;
+    }
+
+    state.spawnEncoder = () => this.spawnCompositionEncoder(state);
+    state.spawnEncoder();
+
+    console.log(`[${this.id}] Waiting for FFmpeg to initialize RTMPS connection...`);
+    await wait(2000);
+    if (!state.isCapturing) return; // Torn down while FFmpeg was starting
+    pages.forEach(entry => entry.pacer.start());
+    console.log(`[${this.id}] Composition started - ${pages.length} page(s) at ${encoding.fps} FPS`);
+  }
+
+  async launchCompositionPage(state, entry) {
+    const { input } = entry;
+    // Each page plays into its own sink, only the audio input's is recorded:
+    // the other pages are not heard, and changing the audio input is instant
+    entry.sink = await createSink(`${this.id}.${input.id}`);
+    const opened = await openPage({ sink: entry.sink });
+    entry.page = opened.page;
+    if (!state.isCapturing) {
+      throw new Error('Composition stopped while starting');
+    }
+    // Chrome crashed or was killed: the supervisor relaunches the composition
+    entry.browser = opened.browser;
+    entry.onBrowserDisconnected = () => {
+      if (state !== this.compositionState || !state.isCapturing) return;
+      console.error(`[${this.id}] Browser of composition page "${input.id}" disconnected unexpectedly`);
+      this.teardownCapture();
+      this.failPipeline('Browser disconnected');
+    };
+    entry.browser.on('disconnected', entry.onBrowserDisconnected);
+    // A crashed page takes the composition down, the supervisor relaunches it
+    entry.page.on('error', (error) => {
+      if (state !== this.compositionState || !state.isCapturing) return;
+      console.error(`[${this.id}] Composition page "${input.id}" crashed:`, error.message);
+      this.teardownCapture();
+      this.failPipeline(`Page "${input.id}" crashed`);
+    });
+
+    await this.preparePage(entry.page, sourceOf(input, this.config));
+    entry.steps = this.stepLog;
+    if (!state.isCapturing) {
+      throw new Error('Composition stopped while starting');
+    }
+
+    entry.pacer = new FramePacer({
+      id: `${this.id}/${input.id}`,
+      fps: this.config.encoding.fps,
+      counters: entry.counters,
+      onDropped: (count) => {
+        entry.counters.framesDropped += count;
+        this.countDroppedFrames(count);
+      },
+      write: (frame) => this.writeFrame(this.captureProcess && entry.fd !== null ? this.captureProcess.stdio[entry.fd] : null, frame)
+    });
+    const client = await entry.page.target().createCDPSession();
+    await client.send('Page.enable');
+    entry.client = client;
+    await this.startScreencast(client, entry);
+  }
+
+  // Spawns (or respawns) the composition's encoder on the current layout:
+  // pages are read from their own pipes (fd 4 and up), URLs directly
+  spawnCompositionEncoder(state) {
+    const { composition, encoding } = this.config;
+    const inputArgs = [];
+    const stdio = [...ENCODER_STDIO];
+    state.inputs.forEach((entry) => {
+      if (entry.page) {
+        entry.fd = stdio.length;
+        stdio.push('pipe');
+        inputArgs.push('-f', 'image2pipe', '-vcodec', 'mjpeg', '-framerate', encoding.fps.toString(), '-i', `pipe:${entry.fd}`);
+      } else {
+        inputArgs.push(...directInputArgs(entry.input.url));
+      }
+    });
+
+    // A URL brings its own audio track; page audio and silence are one more input
+    let audioMap;
+    let audioPump = null;
+    const audioIndex = state.inputs.findIndex(entry => entry.input.id === composition.audio);
+    if (audioIndex !== -1 && !state.inputs[audioIndex].page) {
+      audioMap = `${audioIndex}:a?`;
+    } else {
+      const audio = audioIndex !== -1 ? this.createAudioInput(state.inputs[audioIndex].sink) : { pump: null, args: silentAudioArgs(encoding) };
+      audioPump = audio.pump;
+      inputArgs.push(...audio.args);
+      audioMap = `${state.inputs.length}:a`;
+    }
+    state.audioPump = audioPump;
+    const inputCount = state.inputs.length + (audioMap.endsWith('?') ? 0 : 1);
+
+    const ffmpegArgs = [
+      ...ENCODER_PROGRESS_ARGS, // Structured progress on fd 3 (see lib/metrics.js)
+      ...inputArgs,
+      ...this.overlays.inputArgs(),
+      // Layout first, then the overlays on top of the whole picture
+      ...this.overlays.filterArgs({
+        inputChains: compositionFilters(composition.layout, state.inputs.map((entry, index) => index), encoding),
+        baseFilters: [],
+        videoInput: 'mix',
+        audioMap,
+        firstImageInput: inputCount
+      }),
+      ...videoEncodeArgs(encoding),
+      ...audioEncodeArgs(encoding),
+      ...this.timestampOffsetArgs(),
+      '-f', 'mpegts',
+      '-muxdelay', '0',
+      '-flush_packets', '1',
+      'pipe:1'
+    ];
+
+    console.log(`[${this.id}] FFmpeg command:`, ffmpegPath, ffmpegArgs.join(' '));
+
+    const encoder = spawn(ffmpegPath, ffmpegArgs, { stdio });
+    this.captureProcess = encoder;
+    this.attachEncoder(encoder);
+
+    if (audioPump) {
+      audioPump.start();
+    }
+    state.inputs.forEach((entry) => {
+      if (!entry.page) return;
+      // EPIPE is expected when FFmpeg closes
+      encoder.stdio[entry.fd].on('error', (error) => {
+        if (error.code !== 'EPIPE') {
+          console.error(`[${this.id}] FFmpeg input "${entry.input.id}" error:`, error);
+        }
+      });
+    });
+
+    encoder.stderr.on('data', (data) => {
+      const output = data.toString();
+      if (output.includes('error') || output.includes('Error') || output.includes('failed')) {
+        console.error(`[${this.id}] FFmpeg error detected:`, output.trim());
+      }
+    });
+
+    // 'error' (spawn failure) and 'exit' can both fire - handle the failure once
+    let exited = false;
+    const handleExit = (reason) => {
+      if (exited) return;
+      exited = true;
+      if (audioPump) {
+        audioPump.stop();
+      }
+      const current = this.captureProcess === encoder;
+      if (current) {
+        this.captureProcess = null;
+      }
+      // Replaced after a layout change, stopped on purpose, or torn down
+      if (!current || !state.isCapturing) return;
+      this.failPipeline(reason);
+    };
+
+    encoder.on('error', (error) => {
+      console.error(`[${this.id}] FFmpeg process error:`, error);
+      handleExit(error.message);
+    });
+
+    encoder.on('exit', (code, signal) => {
+      console.log(`[${this.id}] FFmpeg process exited with code ${code}, signal ${signal}`);
+      this.emit('ffmpeg.exit', {
+        process: 'encoder',
+        code,
+        signal,
+        expected: this.captureProcess !== encoder || !state.isCapturing
+      });
+      if (this.captureProcess === encoder && this.metrics.stderrTail) {
+        console.log(`[${this.id}] FFmpeg stderr output (last lines):\n${this.metrics.stderrTail}`);
+      }
+      // The canvas never ends: a clean exit means one of the inputs did
+      handleExit(code === 0
+        ? 'A composition input ended'
+        : this.metrics.lastError || `FFmpeg exited with code ${code}${signal ? `, signal ${signal}` : ''}`);
+    });
+  }
+
+  // Change the layout and/or the audio input of a composition. A running
+  // encoder is respawned on the new filter graph once the old one exited; the
+  // pages keep running and the destinations stay connected.
+  // Throws an Error with a user-facing message on invalid changes.
+  async updateComposition(changes) {
+    const composition = this.config.composition;
+    if (!composition) {
+      throw new Error(`Stream "${this.id}" is not a composition`);
+    }
+    const unknown = Object.keys(changes).filter(field => !['layout', 'audio'].includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown field(s): ${unknown.join(', ')} (expected: layout, audio)`);
+    }
+    const next = {
+      ...composition,
+      layout: changes.layout !== undefined ? parseLayout(changes.layout, composition.inputs.length) : composition.layout,
+      audio: changes.audio !== undefined ? parseAudio(changes.audio, composition.inputs) : composition.audio
+    };
+    this.config.composition = next;
+    console.log(`[${this.id}] Composition changed: layout ${next.layout.type}, audio from ${next.audio || 'none (silence)'}`);
+
+    const state = this.compositionState;
+    if (!state || !state.isCapturing) {
+      return this.getCompositionStatus();
+    }
+    // Without an encoder (a restart is pending) the supervisor's restart
+    // picks up the new layout
+    const encoder = this.captureProcess;
+    if (encoder) {
+      this.captureProcess = null;
+      stopProcess(encoder).then(() => {
+        if (state === this.compositionState && state.isCapturing && !this.captureProcess) {
+          state.spawnEncoder();
+        }
+      });
+    }
+    return this.getCompositionStatus();
+  }
+
+  // Close the pages of a composition (torn down first by teardownCapture)
+  async closeComposition(state = this.compositionState) {
+    if (!state) return;
+    if (this.compositionState === state) {
+      this.compositionState = null;
+    }
+    for (const entry of state.inputs) {
+      // Closing the last page closes the browser: not a crash
+      if (entry.browser) {
+        entry.browser.off('disconnected', entry.onBrowserDisconnected);
+        entry.browser = null;
+        entry.onBrowserDisconnected = null;
+      }
+      const page = entry.page;
+      entry.page = null;
+      await closePage(page);
+      removeSink(entry.sink);
+      entry.sink = null;
+    }
+  }
+
+  getCompositionStatus() {
+    const { layout, audio, inputs } = this.config.composition;
+    const state = this.compositionState;
+    return {
+      layout,
+      audio,
+      inputs: inputs.map((input, index) => {
+        const entry = state && state.inputs[index];
+        return {
+          id: input.id,
+          type: input.webPageUrl ? 'webpage' : 'direct',
+          source: input.webPageUrl || input.url,
+          steps: input.webPageUrl && entry ? entry.steps : undefined,
+          frames: entry && entry.pacer ? { ...entry.counters, pacing: entry.pacer.getStats() } : undefined
+        };
+      })
+    };
+  }
+
+  // Start one relay per destination, fed by whichever encoder is current
+  startDestinations() {
+    this.stopDestinations();
+    this.destinations = new DestinationSet(this.config.destinations, this.id);
+    this.destinations.start();
+    if (this.config.recording) {
+      this.startRecording(this.config.recording);
+    }
+  }
+
+  attachEncoder(encoder) {
+    this.metrics.attach(encoder);
+    let firstChunk = true;
+    const align = packetAligner();
+    encoder.stdout.on('data', (data) => {
+      // Output from a new encoder means the primary source is back (a page
+      // being recovered is not, even though its encoder keeps running)
+      if (firstChunk) {
+        firstChunk = false;
+        if (!(this.captureState && this.captureState.recovering)) {
+          this.slate.hide('Primary source recovered');
+        }
+      }
+      const chunk = align(data);
+      if (chunk && !this.slate.onAir) {
+        this.sendOutput(chunk);
+      }
+    });
+  }
+
+  // Everything that goes to air: the destination relays, the recording and
+  // the preview. `chunk` holds whole MPEG-TS packets (see lib/mpegts.js).
+  sendOutput(chunk) {
+    if (this.destinations) {
+      this.destinations.write(chunk);
+    }
+    this.recorder.write(chunk);
+    this.preview.write(chunk);
+  }
+
+  // Latest frame as JPEG: the page's last screencast frame, or for direct
+  // sources a frame decoded from the newest preview segment.
+  // Throws an Error when there is nothing to show yet.
+  async getSnapshot() {
+    if (this.captureState && this.captureState.lastFrame) {
+      return this.captureState.lastFrame;
+    }
+    if (!this.config.encoding.video) {
+      throw new Error(`Stream "${this.id}" has no video`);
+    }
+    this.preview.touch();
+    await this.preview.waitForPlaylist();
+    const segment = this.preview.latestSegment();
+    if (!segment) {
+      throw new Error(`No frame available yet for stream "${this.id}"`);
+    }
+    return snapshotFromSegment(segment);
+  }
+
+  // Recording runs next to the live push and can be started and stopped
+  // without touching it
+  startRecording(options) {
+    this.recorder.start(options);
+  }
+
+  stopRecording() {
+    this.recorder.stop();
+  }
+
+  stopDestinations() {
+    if (this.destinations) {
+      this.destinations.stop();
+      this.destinations = null;
+    }
+  }
+
+  // The relays outlive encoder restarts, so a respawned encoder continues the
+  // timestamps where the previous one left off
+  timestampOffsetArgs() {
+    if (!this.destinations || this.destinations.elapsedSeconds < 1) {
+      return [];
+    }
+    return ['-output_ts_offset', this.destinations.elapsedSeconds.toFixed(3)];
+  }
+
+  // `giveUp` defaults to stopping the stream. With a fallback slate and no
+  // `giveUp`, the primary source is retried for as long as the stream runs.
+  startSupervisor(giveUp) {
+    if (this.supervisor) {
+      this.supervisor.stop();
+    }
+    this.supervisor = new Supervisor({
+      name: `${this.id}/pipeline`,
+      restart: () => this.restartSource(),
+      giveUp: giveUp || ((reason) => this.stop(`Stream stopped after ${this.supervisor.policy.maxAttempts} failed restarts: ${reason}`)),
+      onRetry: (attempt, delayMs, reason) => this.emit('reconnect.attempt', { target: 'pipeline', attempt, delayMs, reason }),
+      policy: !giveUp && this.slate.enabled ? { persistent: true } : {}
+    });
+  }
+
+  // Report a pipeline failure - the supervisor decides when (and whether) to
+  // restart, the slate (if any) fills in meanwhile
+  failPipeline(reason) {
+    this.status.error = reason;
+    this.emit('stream.error', { reason, fatal: false });
+    if (this.status.active) {
+      this.slate.show(reason);
+    }
+    if (this.supervisor) {
+      this.supervisor.failed(reason);
+    }
+  }
+
+  startStream() {
+    const { destinations, encoding } = this.config;
+    const { url } = this.source;
+    console.log(`[${this.id}] Starting stream from ${url} to ${destinations.length} destination(s) (encoding: ${encoding.preset})`);
+
+    this.status.active = true;
+    this.status.error = null;
+    this.startedAt = new Date().toISOString();
+    this.resetMetrics();
+
+    this.startDestinations();
+    this.startSupervisor();
+    this.spawnStreamEncoder();
+  }
+
+  spawnStreamEncoder() {
+    const { encoding } = this.config;
+    const { url } = this.source;
+
+    // Optimized FFmpeg command for low resource usage
+    const ffmpegArgs = [
+      ...ENCODER_PROGRESS_ARGS, // Structured progress on fd 3 (see lib/metrics.js)
+      ...directInputArgs(url),
+      ...(encoding.video ? this.overlays.inputArgs() : []), // Overlay images
+      ...(encoding.video ? this.overlays.filterArgs({
+        baseFilters: [`fps=${encoding.fps}`, scaleFilter(encoding)],
+        videoInput: '0:v',
+        audioMap: '0:a?',
+        firstImageInput: 1
+      }) : []), // Video filters: FPS, scale and overlays
+      ...videoEncodeArgs(encoding), // H.264 settings from the encoding profile
+      ...audioEncodeArgs(encoding), // AAC settings from the encoding profile
+      ...this.timestampOffsetArgs(), // Continue timestamps after a restart
+      '-f', 'mpegts', // MPEG-TS on stdout, remuxed to FLV by each destination relay
+      '-muxdelay', '0',
+      '-flush_packets', '1',
+      'pipe:1' // Output to stdout
+    ];
+
+    console.log(`[${this.id}] FFmpeg command: ` + ffmpegPath + ' ' + ffmpegArgs.join(' '));
+
+    const encoder = spawn(ffmpegPath, ffmpegArgs, { stdio: ENCODER_STDIO });
+    this.currentStream = encoder;
+    this.attachEncoder(encoder);
+
+    // Handle FFmpeg output (the last error line is kept by the metrics)
+    encoder.stderr.on('data', (data) => {
+      const output = data.toString();
+      if (output.includes('error') || output.includes('Error')) {
+        console.error(`[${this.id}] FFmpeg error:`, output);
+      }
+    });
+
+    // 'error' (spawn failure) and 'exit' can both fire - handle the failure once
+    let exited = false;
+    const handleExit = async (code, reason) => {
+      if (exited) return;
+      exited = true;
+      // Replaced by a newer encoder, or stopped on purpose
+      if (this.currentStream !== encoder) return;
+      this.currentStream = null;
+
+      if (code === 0 && this.playlist) {
+        // Entry played until its end - on to the next one
+        console.log(`[${this.id}] Source ended, moving to the next playlist entry`);
+        this.playlist.sourceEnded();
+        return;
+      }
+      if (code === 0) {
+        // The source finished cleanly - nothing to restart
+        console.log(`[${this.id}] Source ended, stopping stream`);
+        await this.stop();
+        return;
+      }
+      this.failPipeline(reason);
+    };
+
+    encoder.on('error', (error) => {
+      console.error(`[${this.id}] FFmpeg process error:`, error);
+      handleExit(null, error.message);
+    });
+
+    encoder.on('exit', (code, signal) => {
+      console.log(`[${this.id}] FFmpeg process exited with code ${code}`);
+      this.emit('ffmpeg.exit', { process: 'encoder', code, signal, expected: this.currentStream !== encoder });
+      handleExit(code, this.metrics.lastError || `FFmpeg exited with code ${code}${signal ? `, signal ${signal}` : ''}`);
+    });
+  }
+
+  // Encoder readings for the adaptive quality controller, null without a
+  // running encoder
+  encoderReading() {
+    const encoder = this.currentStream || this.captureProcess;
+    if (!encoder || !this.status.active) {
+      return null;
+    }
+    const progress = this.metrics.snapshot();
+    return {
+      pid: encoder.pid,
+      uptimeMs: progress.encoderUptime * 1000,
+      speed: progress.speed,
+      droppedFrames: progress.dropFrames,
+      backpressure: this.encoderBackpressure,
+      ticks: this.captureCounters.framesSent + this.captureCounters.ticksSkipped
+    };
+  }
+
+  // Restart the encoder with other settings (adaptive quality). The source,
+  // or the page, and the destinations keep running; the new encoder starts
+  // once the old one has exited so they never write to the relays together.
+  // A screencast also restarts with the pacer, both follow the size and FPS.
+  async applyEncoding(encoding) {
+    this.config.encoding = encoding;
+    // A slate shown meanwhile must not be the heaviest encode, nor change
+    // the parameters the relays receive
+    this.slate.encoding = encoding;
+    if (!this.status.active) return;
+
+    if (this.type === 'direct') {
+      const encoder = this.currentStream;
+      if (!encoder) return; // A pending restart picks up the new settings
+      this.currentStream = null;
+      await stopProcess(encoder);
+      if (this.status.active && this.type === 'direct' && !this.currentStream) {
+        this.spawnStreamEncoder();
+      }
+      return;
+    }
+
+    const captureState = this.captureState;
+    if (!captureState || !captureState.isCapturing || captureState.recovering || !this.page) {
+      return; // The next page launch uses the new settings
+    }
+    const screencast = !!captureState.pacer;
+    try {
+      if (screencast) {
+        this.watchdog.disarm();
+        captureState.pacer.stop();
+        await this.detachScreencast(captureState);
+      }
+      const encoder = this.captureProcess;
+      if (encoder) {
+        this.captureProcess = null;
+        await stopProcess(encoder);
+      }
+      if (captureState !== this.captureState || !captureState.isCapturing) return;
+
+      if (screencast) {
+        captureState.pacer = this.createPacer();
+        await this.attachScreencast(this.page, captureState);
+      }
+      if (!this.captureProcess) {
+        captureState.spawnEncoder();
+      }
+      if (screencast) {
+        captureState.pacer.start();
+        this.watchdog.arm(this.page, captureState.client);
+      }
+    } catch (error) {
+      if (captureState === this.captureState) {
+        this.failPipeline(`Encoder restart failed: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Respawn the encoder with the same settings (resource guard). Like
+  // applyEncoding(), the source and the destinations keep running.
+  async restartEncoder() {
+    if (!this.status.active) return;
+    const state = this.compositionState;
+    if (!state) {
+      await this.applyEncoding(this.config.encoding);
+      return;
+    }
+    const encoder = this.captureProcess;
+    if (!state.isCapturing || !encoder) return;
+    this.captureProcess = null;
+    await stopProcess(encoder);
+    if (state === this.compositionState && state.isCapturing && !this.captureProcess) {
+      state.spawnEncoder();
+    }
+  }
+
+  resetMetrics() {
+    this.metrics.reset();
+    this.captureCounters.framesSent = 0;
+    this.captureCounters.framesDropped = 0;
+    this.captureCounters.framesDuplicated = 0;
+    this.captureCounters.ticksSkipped = 0;
+    this.dropReport = { at: 0, total: 0 };
+  }
+
+  // Count dropped screencast frames. A burst of drops is reported as one
+  // frames.dropped event (the drops in the previous window are carried over).
+  countDroppedFrames(count) {
+    this.captureCounters.framesDropped += count;
+    const now = Date.now();
+    if (now - this.dropReport.at < FRAME_DROP_INTERVAL_MS) return;
+    const total = this.captureCounters.framesDropped;
+    this.emit('frames.dropped', { dropped: total - this.dropReport.total, total });
+    this.dropReport = { at: now, total };
+  }
+
+  // Encoder progress combined with the capture-side counters
+  getMetrics() {
+    const pacer = this.captureState && this.captureState.pacer;
+    const counters = { ...this.captureCounters };
+    if (this.compositionState) {
+      // Each page of a composition has its own pacer and counters
+      for (const key of ['framesSent', 'framesDuplicated', 'ticksSkipped']) {
+        counters[key] = this.compositionState.inputs.reduce((sum, entry) => sum + entry.counters[key], 0);
+      }
+    }
+    return {
+      uptime: this.status.active && this.startedAt ? Math.round((Date.now() - Date.parse(this.startedAt)) / 1000) : 0,
+      ...this.metrics.snapshot(),
+      framesSent: counters.framesSent,
+      framesDropped: counters.framesDropped,
+      framesDuplicated: counters.framesDuplicated,
+      ticksSkipped: counters.ticksSkipped,
+      pacing: pacer ? pacer.getStats() : null
+    };
+  }
+
+  // Stop the page capture and its encoder, leaving the destinations connected
+  teardownCapture() {
+    this.watchdog.disarm();
+
+    const captureState = this.captureState;
+    if (captureState) {
+      captureState.isCapturing = false;
+
+      if (captureState.pacer) {
+        captureState.pacer.stop();
+      }
+
+      // Stop the screencast on the capture's CDP session
+      this.detachScreencast(captureState);
+
+      // Stop audio pump and remove its FIFO
+      if (captureState.audioPump) {
+        captureState.audioPump.stop();
+        captureState.audioPump = null;
+      }
+    }
+
+    const composition = this.compositionState;
+    if (composition && composition.isCapturing) {
+      composition.isCapturing = false;
+      for (const entry of composition.inputs) {
+        entry.isCapturing = false;
+        if (entry.pacer) {
+          entry.pacer.stop();
+        }
+        this.detachScreencast(entry);
+      }
+      if (composition.audioPump) {
+        composition.audioPump.stop();
+        composition.audioPump = null;
+      }
+    }
+
+    if (this.captureProcess && !this.captureProcess.killed) {
+      console.log(`[${this.id}] Stopping capture process...`);
+      const encoder = this.captureProcess;
+      this.captureProcess = null;
+      try {
+        encoder.kill('SIGTERM');
+        // Make sure it is gone even if it ignores SIGTERM
+        setTimeout(() => {
+          if (encoder.exitCode === null && encoder.signalCode === null) {
+            encoder.kill('SIGKILL');
+          }
+        }, 1000);
+      } catch (error) {
+        console.error(`[${this.id}] Error stopping capture process:`, error);
+      }
+    }
+
+    this.captureState = null;
+  }
+
+  // `error` is the reason when the stream stops because of a failure; it stays
+  // in the status until the next start
+  async stop(error = null) {
+    const wasActive = this.status.active;
+    // No restarts or playlist transitions while (and after) stopping
+    if (this.supervisor) {
+      this.supervisor.stop();
+    }
+    if (this.playlist) {
+      this.playlist.stop();
+    }
+
+    this.adaptive.stop();
+    this.config.encoding = this.adaptive.baseEncoding;
+    this.slate.encoding = this.adaptive.baseEncoding;
+    this.teardownCapture();
+    this.slate.stop();
+    this.stopRecording();
+    this.preview.stop();
+    this.stopDestinations();
+
+    if (this.currentStream) {
+      console.log(`[${this.id}] Stopping stream...`);
+      const encoder = this.currentStream;
+      this.currentStream = null;
+      encoder.kill('SIGTERM');
+    }
+
+    // Stop screencast if page exists
+    if (this.page && !this.page.isClosed()) {
+      try {
+        const client = await this.page.target().createCDPSession();
+        await client.send('Page.stopScreencast');
+        await client.detach();
+      } catch (error) {
+        console.warn(`[${this.id}] Error stopping screencast:`, error.message);
+      }
+    }
+
+    if (this.page) {
+      console.log(`[${this.id}] Closing page...`);
+      await this.closePage();
+    }
+    this.stopDisplay();
+    await this.closeComposition();
+    // Its pages are closed: nothing plays into the sink any more
+    removeSink(this.audioSink);
+    this.audioSink = null;
+
+    this.overlays.cleanup();
+
+    this.status.active = false;
+    this.status.error = error;
+    if (wasActive) {
+      if (error) {
+        this.emit('stream.error', { reason: error, fatal: true });
+      }
+      this.emit('stream.stopped', { error });
+    }
+  }
+
+  // Change an overlay's text (or clock format) while the stream runs
+  updateOverlay(overlayId, changes) {
+    return this.overlays.update(overlayId, changes);
+  }
+
+  getStatus() {
+    const captureState = this.captureState;
+    return {
+      id: this.id,
+      type: this.type,
+      source: this.source.webPageUrl || this.source.url,
+      playButtonSelector: this.type === 'webpage' ? this.source.playButtonSelector : undefined,
+      capture: this.type === 'webpage' || this.config.playlist ? {
+        ...this.capture,
+        display: this.display && this.display.running ? this.display.name : null
+      } : undefined,
+      playlist: this.playlist ? this.playlist.getStatus() : undefined,
+      composition: this.config.composition ? this.getCompositionStatus() : undefined,
+      fps: this.config.encoding.fps || null,
+      encoding: this.config.encoding,
+      active: this.status.active,
+      error: this.status.error,
+      errors: this.errors,
+      startedAt: this.startedAt,
+      steps: this.type === 'webpage' ? this.stepLog : undefined,
+      overlays: this.overlays.getStatus(),
+      metrics: this.getMetrics(),
+      audio: captureState && captureState.audioPump ? captureState.audioPump.getStats() : null,
+      destinations: this.destinations ? this.destinations.getStatus() : [],
+      supervisor: this.supervisor ? this.supervisor.getStatus() : null,
+      slate: this.slate.getStatus(),
+      recording: this.recorder.getStatus(),
+      preview: this.preview.getStatus(),
+      watchdog: this.type === 'webpage' ? this.watchdog.getStatus() : undefined,
+      adaptive: this.adaptive.getStatus()
+    };
+  }
+}
+
+module.exports = {
+  buildStreamConfig,
+  Stream
+};
@@ -0,0 +1,117 @@
+// Restart policy shared by the encoder and the destination relays:
+// exponential backoff with a random jitter window and a maximum number of
+// consecutive attempts. A process that stayed up for `stableAfterMs` is
+// considered healthy again and the attempt counter starts over. A
+// `persistent` policy never gives up and keeps retrying at the maximum delay
+// (used while a fallback slate keeps the destinations busy).
+const DEFAULT_POLICY = {
+  maxAttempts: parseInt(process.env.RESTART_MAX_ATTEMPTS) || 10,
+  baseDelayMs: parseInt(process.env.RESTART_BASE_DELAY_MS) || 2000,
+  maxDelayMs: parseInt(process.env.RESTART_MAX_DELAY_MS) || 60000,
+  jitterMs: parseInt(process.env.RESTART_JITTER_MS) || 1000,
+  stableAfterMs: 30000
+};
+
+function backoffDelay(attempt, policy = DEFAULT_POLICY) {
+  const exponential = policy.baseDelayMs * Math.pow(2, Math.max(0, attempt - 1));
+  const jitter = Math.floor(Math.random() * policy.jitterMs);
+  return Math.min(policy.maxDelayMs, exponential) + jitter;
+}
+
+class Supervisor {
+  // `restart` is called after the backoff delay and may return a promise.
+  // `giveUp` is called once maxAttempts consecutive failures are reached.
+  // `onRetry(attempt, delayMs, reason)` is called when a restart is scheduled.
+  constructor({ name, restart, giveUp, onRetry, policy = {} }) {
+    this.name = name;
+    this.restart = restart;
+    this.giveUp = giveUp;
+    this.onRetry = onRetry;
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    this.attempts = 0;
+    this.restarts = 0;
+    this.lastFailure = null;
+    this.lastFailureAt = null;
+    this.nextRestartAt = null;
+    this.startedAt = Date.now();
+    this.timer = null;
+    this.state = 'running';
+  }
+
+  // Record a successful (re)start
+  started() {
+    this.startedAt = Date.now();
+    this.state = 'running';
+  }
+
+  failed(reason) {
+    if (this.state === 'stopped' || this.state === 'failed') return;
+
+    this.lastFailure = reason;
+    this.lastFailureAt = new Date().toISOString();
+    if (Date.now() - this.startedAt >= this.policy.stableAfterMs) {
+      this.attempts = 0;
+    }
+    this.attempts++;
+
+    if (this.attempts > this.policy.maxAttempts && !this.policy.persistent) {
+      this.state = 'failed';
+      this.nextRestartAt = null;
+      console.error(`[${this.name}] Giving up after ${this.policy.maxAttempts} restart attempts: ${reason}`);
+      if (this.giveUp) {
+        this.giveUp(reason);
+      }
+      return;
+    }
+
+    const delay = backoffDelay(this.attempts, this.policy);
+    this.state = 'restarting';
+    this.nextRestartAt = new Date(Date.now() + delay).toISOString();
+    console.log(`[${this.name}] ${reason} - restarting in ${delay}ms (attempt ${this.attempts}${this.policy.persistent ? '' : `/${this.policy.maxAttempts}`})`);
+    if (this.onRetry) {
+      this.onRetry(this.attempts, delay, reason);
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      this.nextRestartAt = null;
+      if (this.state !== 'restarting') return;
+      this.restarts++;
+      try {
+        await this.restart();
+        this.started();
+      } catch (error) {
+        this.failed(`Restart failed: ${error.message}`);
+      }
+    }, delay);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRestartAt = null;
+    // Keep 'failed' visible in /status after giving up
+    if (this.state !== 'failed') {
+      this.state = 'stopped';
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      restarts: this.restarts,
+      attempts: this.attempts,
+      maxAttempts: this.policy.maxAttempts,
+      lastFailure: this.lastFailure,
+      lastFailureAt: this.lastFailureAt,
+      nextRestartAt: this.nextRestartAt
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  backoffDelay,
+  Supervisor
+};
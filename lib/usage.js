@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+
+// CPU and memory of child processes and of the container, read from /proc
+// and the cgroup files (Linux only: elsewhere, or once the process is gone,
+// the readings are null).
+const CLOCK_TICKS_PER_SECOND = 100; // USER_HZ, 100 on every Linux we run on
+const PAGE_SIZE = 4096;
+
+// Fields of /proc/<pid>/stat after the command name (field 3 "state" first)
+function readStat(pid) {
+  const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+  // The command name (field 2) may contain spaces: split after its ')'
+  return stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+}
+
+function usageOf(fields) {
+  return {
+    cpuSeconds: (Number(fields[11]) + Number(fields[12])) / CLOCK_TICKS_PER_SECOND, // utime + stime
+    rssBytes: Number(fields[21]) * PAGE_SIZE
+  };
+}
+
+// Total CPU time (seconds) and resident memory (bytes) of a process
+function readProcessUsage(pid) {
+  if (!pid) return null;
+  try {
+    return usageOf(readStat(pid));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Every process of the machine (or container): pid -> { ppid, cpuSeconds, rssBytes }.
+// Read once per sample, then walked with treeUsage().
+function readProcessTable() {
+  const table = new Map();
+  let entries;
+  try {
+    entries = fs.readdirSync('/proc');
+  } catch (error) {
+    return table;
+  }
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      const fields = readStat(entry);
+      table.set(Number(entry), { ppid: Number(fields[1]), ...usageOf(fields) });
+    } catch (error) {
+      // Exited meanwhile
+    }
+  }
+  return table;
+}
+
+// Usage of a process and all its descendants (Chromium's renderer, GPU and
+// zygote processes), null once the process is gone. The RSS of the processes
+// is added up, so memory they share is counted more than once.
+function treeUsage(table, pid) {
+  if (!pid || !table.has(pid)) return null;
+  const children = new Map();
+  for (const [child, info] of table) {
+    if (!children.has(info.ppid)) children.set(info.ppid, []);
+    children.get(info.ppid).push(child);
+  }
+  const usage = { cpuSeconds: 0, rssBytes: 0, processes: 0 };
+  const pending = [pid];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    const info = table.get(current);
+    usage.cpuSeconds += info.cpuSeconds;
+    usage.rssBytes += info.rssBytes;
+    usage.processes++;
+    pending.push(...(children.get(current) || []));
+  }
+  return usage;
+}
+
+function readNumber(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Memory charged to the container and its limit (what the OOM killer looks
+// at), from the cgroup v2 or v1 files. null outside a memory cgroup; the
+// limit is null when there is none.
+function readContainerMemory() {
+  let usage = readNumber('/sys/fs/cgroup/memory.current');
+  let limit = readNumber('/sys/fs/cgroup/memory.max');
+  if (usage === null) {
+    usage = readNumber('/sys/fs/cgroup/memory/memory.usage_in_bytes');
+    limit = readNumber('/sys/fs/cgroup/memory/memory.limit_in_bytes');
+  }
+  if (usage === null) return null;
+  const limitBytes = Number(limit);
+  return {
+    usageBytes: Number(usage),
+    // cgroup v2 says "max", v1 a huge number
+    limitBytes: Number.isFinite(limitBytes) && limitBytes < 2 ** 60 ? limitBytes : null
+  };
+}
+
+// CPU usage of a process between two samples, in percent of the machine
+// (100 = every core busy). The first sample of a process returns null.
+// `usage` defaults to the process itself, pass treeUsage() for a whole tree.
+class CpuMeter {
+  constructor() {
+    this.last = null; // { pid, cpuSeconds, at }
+  }
+
+  sample(pid, usage = readProcessUsage(pid)) {
+    const now = Date.now();
+    if (!usage) {
+      this.last = null;
+      return null;
+    }
+    const last = this.last;
+    this.last = { pid, cpuSeconds: usage.cpuSeconds, at: now };
+    if (!last || last.pid !== pid || now <= last.at) {
+      return null;
+    }
+    const percent = (usage.cpuSeconds - last.cpuSeconds) / ((now - last.at) / 1000) / os.cpus().length * 100;
+    return Math.round(Math.min(100, Math.max(0, percent)));
+  }
+}
+
+module.exports = {
+  readProcessUsage,
+  readProcessTable,
+  treeUsage,
+  readContainerMemory,
+  CpuMeter
+};
@@ -0,0 +1,175 @@
+// Page health watchdog for web page streams. Watches the captured page for:
+// - a renderer crash (puppeteer 'error' event)
+// - a cross-document navigation of the main frame (the player is gone)
+// - the page not answering a trivial evaluate() (hung renderer)
+// - no screencast frame for too long (video only)
+// and reports the first failure once. The stream then reloads the page (or
+// opens a fresh one) while FFmpeg and the destinations stay connected.
+const WATCHDOG_ENABLED = process.env.PAGE_WATCHDOG !== 'off';
+const CHECK_INTERVAL_MS = 5000;
+const FRAME_TIMEOUT_MS = parseInt(process.env.PAGE_FRAME_TIMEOUT_MS) || 30000;
+const RESPONSE_TIMEOUT_MS = parseInt(process.env.PAGE_RESPONSE_TIMEOUT_MS) || 10000;
+const MAX_HISTORY = 20; // Recoveries kept for /status
+
+class PageWatchdog {
+  constructor({ id, expectFrames, getLastFrameAt, onFailure }) {
+    this.id = id;
+    this.expectFrames = expectFrames;
+    this.getLastFrameAt = getLastFrameAt;
+    this.onFailure = onFailure;
+    this.page = null;
+    this.client = null;
+    this.timer = null;
+    this.listeners = [];
+    this.state = WATCHDOG_ENABLED ? 'idle' : 'off';
+    this.armedAt = null;
+    this.probing = false;
+    this.nudgedAt = null;
+    this.crashed = false;
+    this.history = [];
+    this.recoveries = 0;
+  }
+
+  get enabled() {
+    return WATCHDOG_ENABLED;
+  }
+
+  // Start watching a page (and the CDP session its screencast runs on)
+  arm(page, client) {
+    if (!WATCHDOG_ENABLED) return;
+    this.disarm();
+
+    this.page = page;
+    this.client = client;
+    this.state = 'watching';
+    this.armedAt = Date.now();
+    this.nudgedAt = null;
+    this.crashed = false;
+
+    this.listen(page, 'error', (error) => {
+      this.crashed = true;
+      this.fail(`Page crashed: ${error.message}`);
+    });
+    this.listen(client, 'Page.frameNavigated', ({ frame }) => {
+      // Same-document navigations (history API) do not fire this event
+      if (!frame.parentId) {
+        this.fail(`Page navigated away to ${frame.url}`);
+      }
+    });
+
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+  }
+
+  listen(emitter, event, handler) {
+    emitter.on(event, handler);
+    this.listeners.push(() => emitter.off(event, handler));
+  }
+
+  disarm() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.listeners.forEach(remove => remove());
+    this.listeners = [];
+    this.page = null;
+    this.client = null;
+    if (this.state === 'watching') {
+      this.state = 'idle';
+    }
+  }
+
+  // Report a failure once; the stream re-arms the watchdog after recovering
+  fail(reason) {
+    if (this.state !== 'watching') return;
+    console.warn(`[${this.id}] Page watchdog: ${reason}`);
+    this.disarm();
+    this.state = 'recovering';
+    this.onFailure(reason);
+  }
+
+  async check() {
+    const page = this.page;
+    if (!page || this.state !== 'watching') return;
+
+    if (page.isClosed()) {
+      this.fail('Page closed');
+      return;
+    }
+
+    // Hung renderer: a trivial evaluate() does not come back
+    if (!this.probing) {
+      this.probing = true;
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), RESPONSE_TIMEOUT_MS);
+      });
+      const responsive = await Promise.race([page.evaluate('1').then(() => true, () => false), timeout]);
+      clearTimeout(timer);
+      this.probing = false;
+      if (this.page !== page) return; // Re-armed or disarmed meanwhile
+      if (!responsive) {
+        this.fail(`Page unresponsive for ${RESPONSE_TIMEOUT_MS / 1000}s`);
+        return;
+      }
+    }
+
+    if (!this.expectFrames) return;
+
+    // Chrome only sends screencast frames when the page repaints, so a quiet
+    // but healthy page first gets a forced repaint before being declared stalled
+    const frameAge = this.lastFrameAgeMs;
+    if (frameAge === null || frameAge < FRAME_TIMEOUT_MS) {
+      this.nudgedAt = null;
+      return;
+    }
+    if (!this.nudgedAt) {
+      this.nudgedAt = Date.now();
+      await page.evaluate(() => {
+        const el = document.createElement('div');
+        el.style.cssText = 'position:fixed;left:0;top:0;width:1px;height:1px;opacity:0.01;pointer-events:none';
+        document.body.appendChild(el);
+        requestAnimationFrame(() => requestAnimationFrame(() => el.remove()));
+      }).catch(() => {});
+      return;
+    }
+    if (Date.now() - this.nudgedAt >= 2 * CHECK_INTERVAL_MS) {
+      this.fail(`No screencast frame for ${Math.round(frameAge / 1000)}s`);
+    }
+  }
+
+  // Age of the last frame, counted from arming when none arrived since
+  get lastFrameAgeMs() {
+    if (!this.armedAt) return null;
+    const lastFrameAt = Math.max(this.getLastFrameAt() || 0, this.armedAt);
+    return Date.now() - lastFrameAt;
+  }
+
+  recordRecovery(recovery) {
+    this.recoveries++;
+    this.history.push(recovery);
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+  }
+
+  reset() {
+    this.disarm();
+    this.state = WATCHDOG_ENABLED ? 'idle' : 'off';
+    this.armedAt = null;
+    this.history = [];
+    this.recoveries = 0;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      lastFrameAgeMs: this.expectFrames && this.state === 'watching' ? this.lastFrameAgeMs : null,
+      recoveries: this.recoveries,
+      lastRecovery: this.history.length > 0 ? this.history[this.history.length - 1] : null,
+      history: this.history
+    };
+  }
+}
+
+module.exports = {
+  PageWatchdog
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { onEvent, parseEventTypes } = require('./events');
+const { backoffDelay } = require('./supervisor');
+const { registerUrl, redactUrl, jsonReplacer } = require('./redact');
+
+// Webhook delivery of the stream events (see lib/events.js). Each event is
+// POSTed as JSON to every URL of WEBHOOK_URLS. With WEBHOOK_SECRET set, the
+// request carries an HMAC-SHA256 signature of "<timestamp>.<body>":
+//   X-Webhook-Timestamp: 1700000000
+//   X-Webhook-Signature: sha256=<hex>
+// Network errors, timeouts, 408, 429 and 5xx answers are retried with
+// backoff; other answers are final. Deliveries are independent, so a
+// receiver may see events out of order - sort them by `id`.
+const WEBHOOK_URLS = process.env.WEBHOOK_URLS; // Comma separated
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_EVENTS = process.env.WEBHOOK_EVENTS; // Comma separated types, all by default
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const RETRY_POLICY = { baseDelayMs: 1000, maxDelayMs: 30000, jitterMs: 500 };
+const MAX_PENDING = 100; // Deliveries in flight per webhook before dropping
+
+const webhooks = [];
+
+function sign(timestamp, body) {
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+class Webhook {
+  constructor(url, types) {
+    this.url = url;
+    this.types = types; // Empty: every event
+    this.pending = 0;
+    this.delivered = 0;
+    this.failed = 0;
+    this.dropped = 0;
+    this.lastError = null;
+    this.lastDeliveryAt = null;
+  }
+
+  wants(event) {
+    return this.types.length === 0 || this.types.includes(event.type);
+  }
+
+  send(event) {
+    if (this.pending >= MAX_PENDING) {
+      this.dropped++;
+      return;
+    }
+    this.pending++;
+    this.deliver(event).finally(() => {
+      this.pending--;
+    });
+  }
+
+  async deliver(event) {
+    const body = JSON.stringify(event, jsonReplacer); // No stream key leaves the process
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+      let retry = true;
+      try {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+          'Content-Type': 'application/json',
+          'User-Agent': 'web-streamer-webhooks',
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Id': event.id.toString(),
+          'X-Webhook-Timestamp': timestamp
+        };
+        if (WEBHOOK_SECRET) {
+          headers['X-Webhook-Signature'] = `sha256=${sign(timestamp, body)}`;
+        }
+        const response = await fetch(this.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (response.ok) {
+          this.delivered++;
+          this.lastDeliveryAt = new Date().toISOString();
+          return;
+        }
+        retry = isRetryable(response.status);
+        this.lastError = `HTTP ${response.status}`;
+      } catch (error) {
+        this.lastError = error.name === 'TimeoutError' ? `No answer after ${WEBHOOK_TIMEOUT_MS}ms` : error.message;
+      }
+
+      if (!retry || attempt === WEBHOOK_MAX_ATTEMPTS) break;
+      const delay = backoffDelay(attempt, RETRY_POLICY);
+      console.warn(`[webhook ${redactUrl(this.url)}] ${event.type} #${event.id} failed (${this.lastError}), retrying in ${delay}ms (attempt ${attempt}/${WEBHOOK_MAX_ATTEMPTS})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    this.failed++;
+    console.error(`[webhook ${redactUrl(this.url)}] Giving up on ${event.type} #${event.id}: ${this.lastError}`);
+  }
+
+  getStatus() {
+    return {
+      url: redactUrl(this.url),
+      events: this.types.length > 0 ? this.types : 'all',
+      pending: this.pending,
+      delivered: this.delivered,
+      failed: this.failed,
+      dropped: this.dropped,
+      lastError: this.lastError,
+      lastDeliveryAt: this.lastDeliveryAt
+    };
+  }
+}
+
+// Validate the webhook settings and subscribe to the events. Throws an Error
+// with a user-facing message on invalid settings.
+function startWebhooks() {
+  const urls = (WEBHOOK_URLS || '').split(/[\s,]+/).filter(Boolean);
+  if (urls.length === 0) return;
+
+  for (const url of urls) {
+    if (!/^https?:\/\//i.test(url)) {
+      throw new Error(`"${url}" must be an http(s):// URL`);
+    }
+    registerUrl(url); // Webhook URLs often carry a token
+  }
+  const types = parseEventTypes(WEBHOOK_EVENTS);
+  urls.forEach(url => webhooks.push(new Webhook(url, types)));
+
+  onEvent((event) => {
+    for (const webhook of webhooks) {
+      if (webhook.wants(event)) {
+        webhook.send(event);
+      }
+    }
+  });
+  console.log(`Webhooks: ${urls.length} URL(s)${WEBHOOK_SECRET ? ', signed' : ', unsigned (set WEBHOOK_SECRET to sign them)'}`);
+}
+
+function getWebhookStatus() {
+  return webhooks.map(webhook => webhook.getStatus());
+}
+
+module.exports = {
+  startWebhooks,
+  getWebhookStatus
+};
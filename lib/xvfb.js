@@ -0,0 +1,158 @@
+const { spawn, execSync } = require('child_process');
+const fs = require('fs');
+const { ffmpegPath } = require('./ffmpeg');
+
+// Capture backends for web pages:
+// - screencast (default): CDP Page.startScreencast in the shared headless
+//   browser. JPEG frames arrive when the page repaints, are decoded in Node
+//   and paced to FFmpeg (see lib/pacer.js).
+// - x11grab: the stream gets its own Xvfb virtual display and a headful
+//   Chromium in it; FFmpeg grabs the display itself at a fixed frame rate.
+//   No frames go through Node and no GPU is needed, at the cost of one
+//   browser (and one X server) per stream.
+// x11grab needs Xvfb and an FFmpeg built with the x11grab device. Without
+// them the stream falls back to the screencast.
+const CAPTURE_BACKENDS = ['screencast', 'x11grab'];
+const XVFB_DISPLAY_BASE = parseInt(process.env.XVFB_DISPLAY_BASE) || 99; // First display number tried
+const XVFB_START_TIMEOUT_MS = 5000;
+
+const usedDisplays = new Set();
+let x11grabSupport = null;
+
+function parseCaptureBackend(value) {
+  if (!CAPTURE_BACKENDS.includes(value)) {
+    throw new Error(`capture must be one of: ${CAPTURE_BACKENDS.join(', ')}`);
+  }
+  return value;
+}
+
+// Why x11grab cannot run here (null when it can). Checked once.
+function x11grabUnavailableReason() {
+  if (x11grabSupport === null) {
+    x11grabSupport = { reason: null };
+    try {
+      execSync('which Xvfb', { stdio: 'ignore' });
+    } catch (error) {
+      x11grabSupport.reason = 'Xvfb is not installed';
+    }
+    if (!x11grabSupport.reason) {
+      try {
+        const devices = execSync(`${ffmpegPath} -hide_banner -devices`, { stdio: ['ignore', 'pipe', 'ignore'], timeout: 10000 }).toString();
+        if (!/\bx11grab\b/.test(devices)) {
+          x11grabSupport.reason = 'FFmpeg was built without the x11grab device';
+        }
+      } catch (error) {
+        x11grabSupport.reason = `Cannot list FFmpeg devices: ${error.message}`;
+      }
+    }
+  }
+  return x11grabSupport.reason;
+}
+
+// The backend a stream will use: the requested one, or the screencast when
+// x11grab is not available. Returns { requested, backend, fallbackReason }.
+function resolveCaptureBackend(requested, id) {
+  if (requested !== 'x11grab') {
+    return { requested, backend: requested, fallbackReason: null };
+  }
+  const reason = x11grabUnavailableReason();
+  if (reason) {
+    console.warn(`[${id}] x11grab capture unavailable (${reason}), falling back to the CDP screencast`);
+    return { requested, backend: 'screencast', fallbackReason: reason };
+  }
+  return { requested, backend: 'x11grab', fallbackReason: null };
+}
+
+// Lowest display number not used by this process nor by another X server
+function freeDisplayNumber() {
+  for (let number = XVFB_DISPLAY_BASE; number < XVFB_DISPLAY_BASE + 100; number++) {
+    if (!usedDisplays.has(number) && !fs.existsSync(`/tmp/.X${number}-lock`)) {
+      return number;
+    }
+  }
+  throw new Error('No free X display number');
+}
+
+// One Xvfb server. start() resolves once the display accepts connections.
+class VirtualDisplay {
+  constructor(id, size) {
+    this.id = id;
+    this.size = size; // "1920x1080"
+    this.number = null;
+    this.process = null;
+  }
+
+  get name() {
+    return `:${this.number}`;
+  }
+
+  async start() {
+    this.number = freeDisplayNumber();
+    usedDisplays.add(this.number);
+    console.log(`[${this.id}] Starting Xvfb on display ${this.name} (${this.size})...`);
+
+    const xvfb = spawn('Xvfb', [this.name, '-screen', '0', `${this.size}x24`, '-nolisten', 'tcp', '-ac'], {
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    this.process = xvfb;
+    let stderr = '';
+    xvfb.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(-2000);
+    });
+    xvfb.on('exit', (code, signal) => {
+      if (this.process === xvfb) {
+        console.error(`[${this.id}] Xvfb on ${this.name} exited with code ${code}${signal ? `, signal ${signal}` : ''}`);
+        this.process = null;
+        usedDisplays.delete(this.number);
+      }
+    });
+
+    // The X socket appears once the server is ready
+    const socket = `/tmp/.X11-unix/X${this.number}`;
+    const deadline = Date.now() + XVFB_START_TIMEOUT_MS;
+    while (!fs.existsSync(socket)) {
+      if (this.process !== xvfb) {
+        throw new Error(`Xvfb failed to start: ${stderr.trim().split('\n').pop() || 'exited'}`);
+      }
+      if (Date.now() > deadline) {
+        this.stop();
+        throw new Error(`Xvfb did not start within ${XVFB_START_TIMEOUT_MS}ms`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  stop() {
+    const xvfb = this.process;
+    this.process = null;
+    if (this.number !== null) {
+      usedDisplays.delete(this.number);
+    }
+    if (xvfb) {
+      console.log(`[${this.id}] Stopping Xvfb on display ${this.name}`);
+      xvfb.kill('SIGTERM');
+    }
+  }
+
+  get running() {
+    return !!this.process;
+  }
+
+  // FFmpeg input grabbing the whole display
+  inputArgs(fps) {
+    return [
+      '-f', 'x11grab',
+      '-draw_mouse', '0',
+      '-framerate', fps.toString(),
+      '-video_size', this.size,
+      '-i', `${this.name}.0+0,0`
+    ];
+  }
+}
+
+module.exports = {
+  CAPTURE_BACKENDS,
+  parseCaptureBackend,
+  resolveCaptureBackend,
+  VirtualDisplay
+};
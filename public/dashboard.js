@@ -0,0 +1,300 @@
+// Operator dashboard for the default stream, built on the REST API:
+// GET /status, GET /snapshot.jpg, POST /start and POST /stop. The API token
+// (if the API needs one) is kept in the browser's localStorage.
+(function () {
+  const STATUS_INTERVAL_MS = 2000;
+  const SNAPSHOT_INTERVAL_MS = 5000;
+  const TOKEN_KEY = 'webstreamer.token';
+
+  const $ = (id) => document.getElementById(id);
+  let status = null;
+  let snapshotUrl = null;
+  let busy = false; // A start/stop request is running
+
+  function token() {
+    return localStorage.getItem(TOKEN_KEY) || '';
+  }
+
+  async function api(method, path, body) {
+    const headers = {};
+    if (token()) {
+      headers.Authorization = `Bearer ${token()}`;
+    }
+    if (body) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const response = await fetch(path, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(response.status === 401
+        ? 'Token API manquant ou invalide'
+        : 'Ce token ne permet pas cette action (scope control requis)');
+    }
+    return response;
+  }
+
+  async function apiJson(method, path, body) {
+    const response = await api(method, path, body);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+  }
+
+  function showMessage(text, isError) {
+    const message = $('message');
+    message.textContent = text;
+    message.className = isError ? 'message error' : 'message';
+    message.hidden = !text;
+  }
+
+  function formatDuration(seconds) {
+    if (!seconds) return '0s';
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    return (h ? `${h}h ` : '') + (h || m ? `${m}m ` : '') + `${s}s`;
+  }
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0';
+    const units = ['o', 'Ko', 'Mo', 'Go'];
+    const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+  }
+
+  function formatValue(value) {
+    return value === null || value === undefined || value === '' ? '–' : String(value);
+  }
+
+  // Fill a <dl> from [label, value] pairs
+  function renderList(element, rows) {
+    element.replaceChildren(...rows.flatMap(([label, value]) => {
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = label;
+      dd.textContent = formatValue(value);
+      return [dt, dd];
+    }));
+  }
+
+  function renderStatus() {
+    const active = !!(status && status.active);
+    const state = $('state');
+    state.textContent = active ? 'en direct' : status && status.error ? 'erreur' : 'arrêté';
+    state.className = `badge${active ? ' live' : status && status.error ? ' error' : ''}`;
+
+    const metrics = (status && status.metrics) || {};
+    const supervisor = status && status.supervisor;
+    const resources = status && status.resources;
+    const memoryOf = (readings) => readings && readings.length > 0
+      ? formatBytes(readings.reduce((sum, reading) => sum + (reading.rssBytes || 0), 0))
+      : '–';
+    const lastRecycle = resources && resources.history[resources.history.length - 1];
+    renderList($('status'), [
+      ['Source', status && (status.composition
+        ? `${status.composition.layout.type} : ${status.composition.inputs.map(input => input.id).join(', ')}`
+        : status.source)],
+      ['Type', status && (status.playlist ? 'playlist' : status.type)],
+      ['Sélecteur', status && status.playButtonSelector],
+      ['Capture', status && status.capture && (status.capture.fallbackReason
+        ? `${status.capture.backend} (x11grab indisponible : ${status.capture.fallbackReason})`
+        : status.capture.backend)],
+      ['Profil', status && status.encoding && status.encoding.preset],
+      ['FPS', status && status.fps],
+      ['Qualité adaptative', status && status.adaptive && status.adaptive.enabled
+        ? `niveau ${status.adaptive.level} / ${status.adaptive.maxLevel} (${status.adaptive.levels[status.adaptive.level]})`
+        : null],
+      ['Démarré', status && status.startedAt && new Date(status.startedAt).toLocaleString()],
+      ['Durée', active ? formatDuration(metrics.uptime) : null],
+      ['Pipeline', supervisor && `${supervisor.state} (${supervisor.restarts} redémarrage(s))`],
+      ['Mémoire (Node / Chromium / FFmpeg)', resources && resources.node
+        ? `${formatBytes(resources.node.rssBytes)} / ${memoryOf(resources.chromium)} / ${memoryOf(resources.ffmpeg)}`
+        : null],
+      ['Recyclages', lastRecycle
+        ? `${resources.recycles} (dernier : ${lastRecycle.target === 'browser' ? 'navigateur' : 'encodeur'}, ${lastRecycle.reason}${lastRecycle.ok ? '' : ', échec'})`
+        : null],
+      ['Erreur', status && status.error]
+    ]);
+
+    const pacing = metrics.pacing;
+    renderList($('ffmpeg'), [
+      ['FPS encodeur', metrics.fps],
+      ['Débit', metrics.bitrateKbps !== null && metrics.bitrateKbps !== undefined ? `${metrics.bitrateKbps} kbit/s` : null],
+      ['Vitesse', metrics.speed !== null && metrics.speed !== undefined ? `${metrics.speed}x` : null],
+      ['Images encodées', metrics.frame],
+      ['Images dupliquées / perdues', metrics.frame !== undefined ? `${formatValue(metrics.dupFrames)} / ${formatValue(metrics.dropFrames)}` : null],
+      ['Volume envoyé', metrics.totalSize ? formatBytes(metrics.totalSize) : null],
+      // Screencast only, x11grab frames never go through the server
+      ['Capture (envoyées / répétées / perdues)', status && status.type === 'webpage' && pacing
+        ? `${metrics.framesSent} / ${metrics.framesDuplicated} / ${metrics.framesDropped}`
+        : null],
+      ['FPS mesuré de la capture', pacing && pacing.measuredFps],
+      ['Démarrages de l\'encodeur', metrics.encoderStarts],
+      ['Mise à jour', metrics.updatedAt && new Date(metrics.updatedAt).toLocaleTimeString()]
+    ]);
+
+    const destinations = (status && status.destinations) || [];
+    $('destinations').replaceChildren(...destinations.map((destination) => {
+      const row = document.createElement('tr');
+      [
+        destination.name,
+        destination.url,
+        `${destination.state}${destination.fallback ? ' (repli RTMP)' : ''}`,
+        formatBytes(destination.bytesSent),
+        formatValue(destination.lastError)
+      ].forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      return row;
+    }));
+
+    const errors = ((status && status.errors) || []).slice().reverse();
+    $('errors').replaceChildren(...(errors.length ? errors.map((error) => {
+      const item = document.createElement('li');
+      item.textContent = `${new Date(error.at).toLocaleString()} — ${error.reason}${error.fatal ? ' (stream arrêté)' : ''}`;
+      if (error.fatal) {
+        item.className = 'fatal';
+      }
+      return item;
+    }) : [Object.assign(document.createElement('li'), { className: 'muted', textContent: 'Aucune erreur' })]));
+
+    $('stop').disabled = busy || !active;
+    $('change-form').querySelector('button').disabled = busy || !active || !!status.playlist || status.type === 'composition';
+    $('start-form').querySelector('button').disabled = busy || active;
+  }
+
+  async function refreshStatus() {
+    try {
+      status = await apiJson('GET', '/status');
+    } catch (error) {
+      status = null;
+      showMessage(error.message, true);
+    }
+    renderStatus();
+  }
+
+  async function refreshSnapshot() {
+    const image = $('snapshot');
+    let blob = null;
+    if (status && status.active && status.encoding && status.encoding.video !== false) {
+      try {
+        const response = await api('GET', '/snapshot.jpg');
+        blob = response.ok ? await response.blob() : null;
+      } catch (error) {
+        blob = null;
+      }
+    }
+    if (snapshotUrl) {
+      URL.revokeObjectURL(snapshotUrl);
+      snapshotUrl = null;
+    }
+    if (blob) {
+      snapshotUrl = URL.createObjectURL(blob);
+      image.src = snapshotUrl;
+    }
+    image.hidden = !blob;
+    $('snapshot-empty').hidden = !!blob;
+  }
+
+  // Stream settings from a form: FPS and comma separated destinations
+  function settingsFrom(form) {
+    const settings = {};
+    const fps = form.elements.fps.value.trim();
+    if (fps) {
+      settings.fps = Number(fps);
+    }
+    const destinations = form.elements.destinations.value.split(',').map(url => url.trim()).filter(Boolean);
+    if (destinations.length) {
+      settings.destinations = destinations;
+    }
+    return settings;
+  }
+
+  async function run(action, successMessage) {
+    busy = true;
+    renderStatus();
+    showMessage('…', false);
+    try {
+      await action();
+      showMessage(successMessage, false);
+    } catch (error) {
+      showMessage(error.message, true);
+    } finally {
+      busy = false;
+      await refreshStatus();
+      refreshSnapshot();
+    }
+  }
+
+  $('token-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    localStorage.setItem(TOKEN_KEY, $('token').value.trim());
+    $('token').value = '';
+    showMessage('Token enregistré', false);
+    refreshStatus();
+  });
+
+  $('start-form').addEventListener('change', (event) => {
+    if (event.target.name === 'type') {
+      const webpage = event.target.value === 'webpage';
+      $('start-form').querySelectorAll('[data-webpage]').forEach((label) => {
+        label.hidden = !webpage;
+      });
+    }
+  });
+
+  $('start-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const webpage = form.elements.type.value === 'webpage';
+    const body = settingsFrom(form);
+    if (webpage) {
+      body.webPageUrl = form.elements.source.value.trim();
+      if (form.elements.selector.value.trim()) {
+        body.playButtonSelector = form.elements.selector.value.trim();
+      }
+      if (form.elements.capture.value) {
+        body.capture = form.elements.capture.value;
+      }
+    } else {
+      body.url = form.elements.source.value.trim();
+    }
+    run(() => apiJson('POST', '/start', body), 'Stream démarré');
+  });
+
+  $('stop').addEventListener('click', () => {
+    if (!confirm('Arrêter le stream ?')) return;
+    run(() => apiJson('POST', '/stop'), 'Stream arrêté');
+  });
+
+  // FPS and destinations are fixed when a stream starts: restart it with the
+  // same source, play selector and preset
+  $('change-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (!status || !status.active) return;
+    const body = settingsFrom(event.target);
+    if (!body.fps && status.fps) {
+      body.fps = status.fps;
+    }
+    if (status.type === 'webpage') {
+      body.webPageUrl = status.source;
+      body.playButtonSelector = status.playButtonSelector;
+      body.capture = status.capture.requested;
+    } else {
+      body.url = status.source;
+    }
+    body.encoding = { preset: status.encoding.preset };
+    if (!confirm('Le stream va être redémarré. Continuer ?')) return;
+    run(async () => {
+      await apiJson('POST', '/stop');
+      await apiJson('POST', '/start', body);
+    }, 'Stream redémarré avec les nouveaux réglages');
+  });
+
+  refreshStatus().then(refreshSnapshot);
+  setInterval(refreshStatus, STATUS_INTERVAL_MS);
+  setInterval(refreshSnapshot, SNAPSHOT_INTERVAL_MS);
+})();